@@ -5,6 +5,8 @@ import cookieParser from 'cookie-parser';
 import createError from 'http-errors';
 import config from './config/env.js';
 import { initializeDB, checkDatabaseHealth } from './database/mongodb.js';
+import { startQuoteExpiryJob } from './utils/quoteExpiry.js';
+import { startTrashPurgeJob } from './utils/quoteTrash.js';
 
 const app = express();
 const PORT = config.server.port;
@@ -69,6 +71,12 @@ const startServer = async () => {
         // Initialize database connection
         await initializeDB();
 
+        // Expire overdue quotes and send expiry reminders, and empty old quotes from the trash
+        if (!config.app.isTest) {
+            startQuoteExpiryJob();
+            startTrashPurgeJob();
+        }
+
         // Start the server
         app.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { ASSIGNMENT_STRATEGIES, DUPLICATE_HANDLING, ATTACHMENT_STORAGES } from '../constants/services.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -28,7 +29,9 @@ const config = {
     server: {
         port: parseInt(process.env.PORT) || 3001,
         nodeEnv: process.env.NODE_ENV || 'development',
-        corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000'
+        corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+        // Public address of this API, used for links in customer emails
+        publicUrl: (process.env.PUBLIC_URL || `http://localhost:${parseInt(process.env.PORT) || 3001}`).replace(/\/$/, '')
     },
 
     // Database configuration
@@ -57,6 +60,32 @@ const config = {
         expiresIn: process.env.JWT_EXPIRES_IN || '24h'
     },
 
+    // Quote attachment settings
+    attachments: {
+        // `local` writes to `directory`; `gridfs` stores files in MongoDB
+        storage: process.env.ATTACHMENT_STORAGE || ATTACHMENT_STORAGES.LOCAL,
+        directory: process.env.ATTACHMENT_DIR || 'uploads',
+        maxFileSizeMb: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE_MB) || 10,
+        maxFilesPerUpload: parseInt(process.env.ATTACHMENT_MAX_FILES) || 5
+    },
+
+    // Quote settings
+    quotes: {
+        // How often issued quotes are checked for expiry and reminders
+        expiryCheckIntervalMinutes: parseInt(process.env.QUOTE_EXPIRY_CHECK_MINUTES) || 60,
+        // Admins new quote requests can be assigned to, and how they are picked
+        assignees: (process.env.QUOTE_ASSIGNEES || '')
+            .split(',')
+            .map(email => email.trim().toLowerCase())
+            .filter(Boolean),
+        autoAssign: process.env.QUOTE_AUTO_ASSIGN || ASSIGNMENT_STRATEGIES.OFF,
+        // Days a deleted quote stays in the trash before it is purged for good
+        trashRetentionDays: parseInt(process.env.QUOTE_TRASH_RETENTION_DAYS) || 30,
+        // Hours within which a repeat request counts as a duplicate, and what happens to it
+        duplicateWindowHours: parseInt(process.env.QUOTE_DUPLICATE_WINDOW_HOURS) || 72,
+        duplicateHandling: process.env.QUOTE_DUPLICATE_HANDLING || DUPLICATE_HANDLING.LINK
+    },
+
     // Application settings
     app: {
         isDevelopment: process.env.NODE_ENV === 'development',
@@ -86,6 +115,28 @@ const validateConfig = () => {
         throw new Error('Invalid EMAIL_TO: must be a valid email address');
     }
 
+    // Validate quote auto-assignment
+    if (!Object.values(ASSIGNMENT_STRATEGIES).includes(config.quotes.autoAssign)) {
+        throw new Error(`Invalid QUOTE_AUTO_ASSIGN: must be one of ${Object.values(ASSIGNMENT_STRATEGIES).join(', ')}`);
+    }
+    if (config.quotes.autoAssign !== ASSIGNMENT_STRATEGIES.OFF && config.quotes.assignees.length === 0) {
+        throw new Error('QUOTE_ASSIGNEES is required when QUOTE_AUTO_ASSIGN is enabled');
+    }
+    const invalidAssignee = config.quotes.assignees.find(email => !emailRegex.test(email));
+    if (invalidAssignee) {
+        throw new Error(`Invalid QUOTE_ASSIGNEES entry: ${invalidAssignee}`);
+    }
+
+    // Validate attachment storage
+    if (!Object.values(ATTACHMENT_STORAGES).includes(config.attachments.storage)) {
+        throw new Error(`Invalid ATTACHMENT_STORAGE: must be one of ${Object.values(ATTACHMENT_STORAGES).join(', ')}`);
+    }
+
+    // Validate duplicate handling
+    if (!Object.values(DUPLICATE_HANDLING).includes(config.quotes.duplicateHandling)) {
+        throw new Error(`Invalid QUOTE_DUPLICATE_HANDLING: must be one of ${Object.values(DUPLICATE_HANDLING).join(', ')}`);
+    }
+
     // Validate JWT secret length
     if (config.jwt.secret.length < 32) {
         throw new Error('JWT_SECRET must be at least 32 characters long');
@@ -0,0 +1,263 @@
+/**
+ * OMYTECH Complexity Scoring Defaults
+ * Rules that turn a quote request into a complexity level and a set of add-ons.
+ * Catalog services may override them with their own `scoring` rules
+ * (see utils/complexity.js for how rules are evaluated and validated).
+ * Also holds the default priority triage rules (see utils/priority.js).
+ */
+
+// Factor types supported by the scoring engine
+// - budgetRatio: budget divided by the service's base price, scored by thresholds
+// - value: a field's value looked up in a points table
+// - count: the number of entries in an array field, scored by thresholds
+// - includes: fixed points when an array field contains a value
+// - length: the length of a text field, scored by thresholds
+export const SCORING_FACTOR_TYPES = ['budgetRatio', 'value', 'count', 'includes', 'length'];
+
+// Quote fields that scoring and add-on rules may read
+export const SCORABLE_FIELDS = [
+    'timeline',
+    'description',
+    'features',
+    'hosting',
+    'hostingPlan',
+    'domain',
+    'domainExtension',
+    'maintenance',
+    'ssl',
+    'designType',
+    'platforms',
+    'pages',
+    'marketingChannels',
+    'campaignDuration',
+    'targetAudience',
+    'customerType'
+];
+
+// Minimum score for each complexity level above basic
+const DEFAULT_LEVELS = {
+    intermediate: 2,
+    advanced: 4
+};
+
+// Factors that apply to every service
+const COMMON_FACTORS = [
+    {
+        code: 'budget_ratio',
+        type: 'budgetRatio',
+        description: 'Budget is {value}x the base price',
+        thresholds: [
+            { min: 3, points: 2 },
+            { min: 1.5, points: 1 }
+        ]
+    },
+    {
+        code: 'timeline',
+        type: 'value',
+        field: 'timeline',
+        description: 'Timeline: {value}',
+        points: {
+            '6+ months': 2,
+            '3-6 months': 1,
+            '1-2 weeks': -1,
+            'Under 1 week': -1
+        }
+    }
+];
+
+// Factor applied after the service-specific ones
+const DESCRIPTION_FACTOR = {
+    code: 'description_length',
+    type: 'length',
+    field: 'description',
+    description: 'Detailed project description ({value} characters)',
+    thresholds: [
+        { min: 501, points: 1 }
+    ]
+};
+
+// Factors for development services (Web Development, Mobile App Design)
+const DEVELOPMENT_FACTORS = [
+    {
+        code: 'features',
+        type: 'count',
+        field: 'features',
+        description: '{value} features requested',
+        thresholds: [
+            { min: 4, points: 2 },
+            { min: 2, points: 1 }
+        ]
+    },
+    {
+        code: 'feature_authentication',
+        type: 'includes',
+        field: 'features',
+        value: 'Authentication',
+        description: 'Includes authentication',
+        points: 1
+    },
+    {
+        code: 'feature_api',
+        type: 'includes',
+        field: 'features',
+        value: 'API',
+        description: 'Includes an API',
+        points: 1
+    }
+];
+
+// Add-ons priced from the development quote form
+// An add-on is included when `field` equals `equals` (or, without `equals`, when
+// the tier field maps to a tier); the tier comes from `tiers[quote[tierField]]`,
+// falling back to `defaultTier`.
+const DEVELOPMENT_ADDONS = [
+    {
+        addon: 'hosting',
+        field: 'hosting',
+        equals: 'Yes',
+        tierField: 'hostingPlan',
+        tiers: { Basic: 'basic', Premium: 'premium', Enterprise: 'enterprise' },
+        defaultTier: 'basic'
+    },
+    {
+        addon: 'domain',
+        field: 'domain',
+        equals: 'Yes',
+        tierField: 'domainExtension',
+        tiers: { '.com': '.com', '.co.ke': '.co.ke', '.org': '.org' },
+        defaultTier: '.com'
+    },
+    // 'Custom' maintenance plans are priced manually and are not included automatically
+    {
+        addon: 'maintenance',
+        field: 'maintenance',
+        tiers: { Monthly: 'monthly', Quarterly: 'quarterly', Yearly: 'yearly' }
+    },
+    {
+        addon: 'ssl',
+        field: 'ssl',
+        tiers: { Basic: 'basic', Premium: 'premium' }
+    }
+];
+
+// Default scoring rules keyed by catalog service key
+// DEFAULT applies to services without rules of their own (e.g. newly added ones).
+export const DEFAULT_SCORING_RULES = {
+    DEFAULT: {
+        levels: DEFAULT_LEVELS,
+        factors: [...COMMON_FACTORS, DESCRIPTION_FACTOR],
+        addons: []
+    },
+    WEB_DEVELOPMENT: {
+        levels: DEFAULT_LEVELS,
+        factors: [...COMMON_FACTORS, ...DEVELOPMENT_FACTORS, DESCRIPTION_FACTOR],
+        addons: DEVELOPMENT_ADDONS
+    },
+    MOBILE_APP_DESIGN: {
+        levels: DEFAULT_LEVELS,
+        factors: [...COMMON_FACTORS, ...DEVELOPMENT_FACTORS, DESCRIPTION_FACTOR],
+        addons: DEVELOPMENT_ADDONS
+    },
+    UI_UX_DESIGN: {
+        levels: DEFAULT_LEVELS,
+        factors: [
+            ...COMMON_FACTORS,
+            {
+                code: 'design_types',
+                type: 'count',
+                field: 'designType',
+                description: '{value} design types requested',
+                thresholds: [
+                    { min: 3, points: 2 },
+                    { min: 2, points: 1 }
+                ]
+            },
+            {
+                code: 'platforms',
+                type: 'count',
+                field: 'platforms',
+                description: '{value} platforms targeted',
+                thresholds: [
+                    { min: 3, points: 1 }
+                ]
+            },
+            DESCRIPTION_FACTOR
+        ],
+        addons: []
+    },
+    DIGITAL_MARKETING: {
+        levels: DEFAULT_LEVELS,
+        factors: [
+            ...COMMON_FACTORS,
+            {
+                code: 'marketing_channels',
+                type: 'count',
+                field: 'marketingChannels',
+                description: '{value} marketing channels',
+                thresholds: [
+                    { min: 4, points: 2 },
+                    { min: 2, points: 1 }
+                ]
+            },
+            {
+                code: 'campaign_duration',
+                type: 'value',
+                field: 'campaignDuration',
+                description: 'Campaign duration: {value}',
+                points: {
+                    '12 Months': 1,
+                    Ongoing: 1
+                }
+            },
+            DESCRIPTION_FACTOR
+        ],
+        addons: []
+    }
+};
+
+// Factor types supported by priority rules: the scoring types plus
+// - previousQuotes: the number of earlier quote requests from the same customer, scored by thresholds
+export const PRIORITY_FACTOR_TYPES = [...SCORING_FACTOR_TYPES, 'previousQuotes'];
+
+// Default rules for triaging new quote requests (admins can replace them)
+// The score sets the priority: below `medium` is low, then medium, high and urgent.
+export const DEFAULT_PRIORITY_RULES = {
+    levels: {
+        medium: 0,
+        high: 3,
+        urgent: 5
+    },
+    factors: [
+        {
+            code: 'short_timeline',
+            type: 'value',
+            field: 'timeline',
+            description: 'Timeline: {value}',
+            points: {
+                'Under 1 week': 4,
+                '1-2 weeks': 3,
+                '3-4 weeks': 1,
+                '6+ months': -1
+            }
+        },
+        {
+            code: 'budget_ratio',
+            type: 'budgetRatio',
+            description: 'Budget is {value}x the base price',
+            thresholds: [
+                { min: 3, points: 3 },
+                { min: 1.5, points: 2 },
+                { min: 1, points: 1 },
+                { min: 0, points: -1 }
+            ]
+        },
+        {
+            code: 'returning_customer',
+            type: 'previousQuotes',
+            description: 'Returning customer (earlier requests: {value})',
+            thresholds: [
+                { min: 1, points: 2 }
+            ]
+        }
+    ]
+};
@@ -1,6 +1,8 @@
 /**
  * OMYTECH Services and Pricing Constants
  * All prices are base prices and may vary based on project complexity
+ * SERVICES and SERVICE_ADDONS seed the database catalog (see models/catalogVersion.js),
+ * which is the source of truth once the API is running.
  */
 
 // Service categories and their details
@@ -243,6 +245,20 @@ export const SERVICE_ADDONS = {
     }
 };
 
+// Built-in catalog used when no catalog version is supplied
+const DEFAULT_CATALOG = {
+    version: null,
+    services: SERVICES,
+    addons: SERVICE_ADDONS
+};
+
+// Number of times each add-on billing period is charged in a year
+export const BILLING_PERIODS = {
+    monthly: 12,
+    quarterly: 4,
+    yearly: 1
+};
+
 // Discount and pricing rules
 export const PRICING_RULES = {
     discounts: {
@@ -261,6 +277,47 @@ export const PRICING_RULES = {
     }
 };
 
+// Default tax rules (rate is a fraction of the net amount)
+// A rule for the customer's country takes precedence over one for the quote currency.
+// Admins can override or add rules (see models/taxRate.js).
+export const DEFAULT_TAX_RATES = {
+    country: {
+        KE: { name: 'VAT', rate: 0.16 }
+    },
+    currency: {
+        KES: { name: 'VAT', rate: 0.16 }
+    }
+};
+
+// Budget-fit analysis settings
+// A price up to stretchTolerance above the budget is a stretch; beyond that the
+// request is under-funded. At most maxSuggestions cheaper alternatives are offered.
+export const BUDGET_FIT_RULES = {
+    stretchTolerance: 0.2,
+    maxSuggestions: 3
+};
+
+// Budget-fit verdicts
+export const BUDGET_FIT_VERDICTS = {
+    WITHIN_BUDGET: 'within_budget',
+    STRETCH: 'stretch',
+    UNDER_FUNDED: 'under_funded'
+};
+
+// Rush fee applied for each requested timeline (timelines not listed carry no rush fee)
+export const TIMELINE_RUSH_FEES = {
+    'Under 1 week': 'urgent',
+    '1-2 weeks': 'expedited'
+};
+
+// Customer types and the discount each one qualifies for
+export const CUSTOMER_TYPES = {
+    Individual: null,
+    Business: null,
+    Student: 'student',
+    'Non-profit': 'nonprofit'
+};
+
 // Service categories for filtering and organization
 export const SERVICE_CATEGORIES = {
     DEVELOPMENT: 'development',
@@ -271,6 +328,7 @@ export const SERVICE_CATEGORIES = {
 
 // Timeline options
 export const TIMELINES = [
+    'Under 1 week',
     '1-2 weeks',
     '3-4 weeks',
     '1-2 months',
@@ -280,19 +338,66 @@ export const TIMELINES = [
 ];
 
 // Currency options
+// Catalog prices are set in BASE_CURRENCY; prices in other currencies are derived
+// with the admin-managed exchange-rate table (rate = units per 1 BASE_CURRENCY),
+// then rounded to the currency's rounding increment. defaultRate seeds the table.
+export const BASE_CURRENCY = 'KES';
+
 export const CURRENCIES = {
     USD: {
         symbol: '$',
         name: 'US Dollar',
-        code: 'USD'
+        code: 'USD',
+        rounding: 1,
+        defaultRate: 0.0077
     },
     KES: {
         symbol: 'KSh',
         name: 'Kenyan Shilling',
-        code: 'KES'
+        code: 'KES',
+        rounding: 1,
+        defaultRate: 1
+    },
+    UGX: {
+        symbol: 'USh',
+        name: 'Ugandan Shilling',
+        code: 'UGX',
+        rounding: 1000,
+        defaultRate: 28.5
+    },
+    TZS: {
+        symbol: 'TSh',
+        name: 'Tanzanian Shilling',
+        code: 'TZS',
+        rounding: 100,
+        defaultRate: 19.5
+    },
+    EUR: {
+        symbol: '€',
+        name: 'Euro',
+        code: 'EUR',
+        rounding: 1,
+        defaultRate: 0.0071
+    },
+    GBP: {
+        symbol: '£',
+        name: 'British Pound',
+        code: 'GBP',
+        rounding: 1,
+        defaultRate: 0.0061
     }
 };
 
+// Built-in exchange-rate table used when no rate table is supplied
+export const DEFAULT_EXCHANGE_RATES = {
+    base: BASE_CURRENCY,
+    asOf: null,
+    rates: Object.fromEntries(Object.values(CURRENCIES).map(currency => [
+        currency.code,
+        { rate: currency.defaultRate, rounding: currency.rounding }
+    ]))
+};
+
 // Status options for quotes
 export const QUOTE_STATUSES = {
     PENDING: 'pending',
@@ -300,9 +405,121 @@ export const QUOTE_STATUSES = {
     QUOTED: 'quoted',
     ACCEPTED: 'accepted',
     REJECTED: 'rejected',
-    COMPLETED: 'completed'
+    COMPLETED: 'completed',
+    EXPIRED: 'expired'
+};
+
+// Statuses a quote may move to from each status
+// quoted -> quoted is a revised quote; rejected and expired quotes can be quoted again.
+// Completed quotes are final. Any other move needs an admin override with a reason.
+export const QUOTE_STATUS_TRANSITIONS = {
+    [QUOTE_STATUSES.PENDING]: [QUOTE_STATUSES.REVIEWED, QUOTE_STATUSES.QUOTED, QUOTE_STATUSES.REJECTED],
+    [QUOTE_STATUSES.REVIEWED]: [QUOTE_STATUSES.QUOTED, QUOTE_STATUSES.REJECTED],
+    [QUOTE_STATUSES.QUOTED]: [QUOTE_STATUSES.QUOTED, QUOTE_STATUSES.ACCEPTED, QUOTE_STATUSES.REJECTED, QUOTE_STATUSES.EXPIRED],
+    [QUOTE_STATUSES.ACCEPTED]: [QUOTE_STATUSES.COMPLETED],
+    [QUOTE_STATUSES.REJECTED]: [QUOTE_STATUSES.QUOTED],
+    [QUOTE_STATUSES.EXPIRED]: [QUOTE_STATUSES.QUOTED, QUOTE_STATUSES.REJECTED],
+    [QUOTE_STATUSES.COMPLETED]: []
 };
 
+// Statuses of quotes still waiting on us or the customer; these count towards an assignee's workload
+export const OPEN_QUOTE_STATUSES = [QUOTE_STATUSES.PENDING, QUOTE_STATUSES.REVIEWED, QUOTE_STATUSES.QUOTED];
+
+// Business hours used for SLA due dates
+// Hours are local time at utcOffsetHours (East Africa Time); working days run 0 (Sunday) to 6.
+export const BUSINESS_HOURS = {
+    utcOffsetHours: 3,
+    startHour: 9,
+    endHour: 17,
+    workingDays: [1, 2, 3, 4, 5]
+};
+
+// Response-time targets per priority, in business hours
+// The first response is the first status change after submission (an automatic quote counts);
+// the quote target is met by the first move to quoted.
+export const SLA_TARGETS = {
+    urgent: { firstResponseHours: 2, quoteHours: 8 },
+    high: { firstResponseHours: 4, quoteHours: 16 },
+    medium: { firstResponseHours: 8, quoteHours: 24 },
+    low: { firstResponseHours: 16, quoteHours: 40 }
+};
+
+// A target is at risk once less than this share of its business hours remains
+export const SLA_AT_RISK_FRACTION = 0.25;
+
+export const SLA_STATES = {
+    ON_TRACK: 'on_track',
+    AT_RISK: 'at_risk',
+    BREACHED: 'breached',
+    MET: 'met',
+    NOT_APPLICABLE: 'not_applicable'
+};
+
+// How new quote requests are assigned to admins (see QUOTE_AUTO_ASSIGN)
+export const ASSIGNMENT_STRATEGIES = {
+    OFF: 'off',
+    ROUND_ROBIN: 'round-robin',
+    LEAST_LOADED: 'least-loaded'
+};
+
+// Who can see a note on a quote; only customer notes are ever emailed
+export const NOTE_VISIBILITIES = {
+    INTERNAL: 'internal',
+    CUSTOMER: 'customer'
+};
+
+// What createQuote does with a likely duplicate request (see QUOTE_DUPLICATE_HANDLING):
+// `link` saves it against the earlier request without re-quoting, `reject` turns it away
+export const DUPLICATE_HANDLING = {
+    LINK: 'link',
+    REJECT: 'reject'
+};
+
+// How alike two descriptions must be (0-1, by shared words) for a request to count as a duplicate
+export const DUPLICATE_MIN_SIMILARITY = 0.8;
+
+// Where quote attachments are stored (see ATTACHMENT_STORAGE)
+export const ATTACHMENT_STORAGES = {
+    LOCAL: 'local',
+    GRIDFS: 'gridfs'
+};
+
+// File types customers may attach, by MIME type with the extensions allowed for each
+export const ATTACHMENT_TYPES = {
+    'application/pdf': ['.pdf'],
+    'application/msword': ['.doc'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/vnd.ms-powerpoint': ['.ppt'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+    'application/vnd.ms-excel': ['.xls'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'text/plain': ['.txt'],
+    'image/png': ['.png'],
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/webp': ['.webp'],
+    'application/zip': ['.zip']
+};
+
+// Most files a quote can hold across its submission and follow-up uploads
+export const MAX_ATTACHMENTS_PER_QUOTE = 10;
+
+// How long an issued quote holds its price
+// Catalog services may set their own `validityDays`; a bundle is valid for the
+// shortest period among its services. Customers are reminded reminderDaysBefore expiry.
+export const QUOTE_VALIDITY = {
+    defaultDays: 30,
+    reminderDaysBefore: 3
+};
+
+// Terms printed on quotation PDFs
+export const QUOTE_TERMS = [
+    'Prices are valid until the date shown on this quotation and may change after it.',
+    'Recurring charges are billed in advance for each billing period.',
+    'Work is scheduled once the quotation has been accepted in writing or online.',
+    'Changes to the agreed scope are quoted separately.',
+    'Payment terms are confirmed on the invoice.'
+];
+
 // Priority levels
 export const PRIORITY_LEVELS = {
     LOW: 'low',
@@ -315,40 +532,87 @@ export const PRIORITY_LEVELS = {
  * Calculate estimated price for a service
  * @param {string} serviceName - Name of the service
  * @param {string} complexity - Complexity level (basic, intermediate, advanced)
- * @param {string} currency - Currency code (USD, KES)
- * @param {Array} addons - Additional services
- * @returns {Object} Price calculation details
+ * @param {string} currency - Currency code (see CURRENCIES)
+ * @param {Array} addons - Additional services, as addon keys ('hosting'), 'addon:tier'
+ * strings ('hosting:premium') or { addon, tier } objects
+ * @param {Object} options - Pricing rule inputs
+ * @param {string} options.timeline - Requested timeline, used for rush fees
+ * @param {string} options.customerType - Declared customer type, used for discounts
+ * @param {boolean} options.isReturningCustomer - Whether the customer has quoted with us before
+ * @param {Object} options.catalog - Catalog version to price from ({ version, services, addons });
+ * defaults to the built-in SERVICES and SERVICE_ADDONS
+ * @param {Object} options.exchangeRates - Rate table ({ base, asOf, rates }) used for currencies
+ * the catalog has no explicit price in; defaults to DEFAULT_EXCHANGE_RATES
+ * @param {boolean} options.applyPricingRules - Set to false when the caller applies PRICING_RULES
+ * itself (bundles apply them once to the combined price)
+ * @returns {Object} Price calculation details; `exchangeRate` is null unless a price was converted
  */
-export const calculateEstimatedPrice = (serviceName, complexity = 'basic', currency = 'USD', addons = []) => {
-    const service = Object.values(SERVICES).find(s => s.name === serviceName);
+export const calculateEstimatedPrice = (serviceName, complexity = 'basic', currency = 'USD', addons = [], options = {}) => {
+    const catalog = options.catalog || DEFAULT_CATALOG;
+    const service = getServiceByName(serviceName, catalog.services);
 
     if (!service) {
         throw new Error('Service not found');
     }
 
-    const basePrice = service.basePrice[currency];
+    const exchangeRates = options.exchangeRates || DEFAULT_EXCHANGE_RATES;
+    const basePrice = resolvePrice(service.basePrice, currency, exchangeRates);
+    let converted = isConvertedPrice(service.basePrice, currency);
+
+    if (basePrice === undefined) {
+        throw new Error(`Pricing is not available in ${currency}`);
+    }
+
     const multiplier = service.complexity[complexity]?.multiplier || 1.0;
-    const servicePrice = Math.round(basePrice * multiplier);
+    const servicePrice = roundAmount(basePrice * multiplier, currency, exchangeRates);
 
-    let addonPrice = 0;
+    let oneTimeAddonPrice = 0;
     const addonDetails = [];
+    const recurringCharges = [];
+
+    addons.map(parseAddonSelection).forEach(({ addon, tier }) => {
+        if (catalog.addons[addon]) {
+            const addonService = catalog.addons[addon];
+            // Fall back to the first (entry-level) tier when none was chosen
+            const selectedTier = tier || Object.keys(addonService.prices)[0];
+            const tierPricing = addonService.prices[selectedTier];
+
+            if (!tierPricing) {
+                throw new Error(`Invalid ${addonService.name} option: ${selectedTier}`);
+            }
 
-    addons.forEach(addon => {
-        if (SERVICE_ADDONS[addon]) {
-            const addonService = SERVICE_ADDONS[addon];
-            // Use basic pricing for addons by default
-            const price = addonService.prices.basic?.[currency] ||
-                addonService.prices[Object.keys(addonService.prices)[0]]?.[currency] || 0;
-            addonPrice += price;
+            const price = resolvePrice(tierPricing, currency, exchangeRates) || 0;
+            converted = converted || isConvertedPrice(tierPricing, currency);
             addonDetails.push({
+                key: addon,
                 name: addonService.name,
+                tier: selectedTier,
                 price: price,
-                currency: currency
+                currency: currency,
+                period: tierPricing.period || null
             });
+
+            // Add-ons billed per period are kept out of the upfront total
+            if (BILLING_PERIODS[tierPricing.period]) {
+                recurringCharges.push({
+                    name: `${addonService.name} (${selectedTier})`,
+                    amount: price,
+                    currency: currency,
+                    period: tierPricing.period
+                });
+            } else {
+                oneTimeAddonPrice += price;
+            }
         }
     });
 
-    const totalPrice = servicePrice + addonPrice;
+    const adjustments = options.applyPricingRules === false
+        ? []
+        : applyPricingRules(servicePrice, oneTimeAddonPrice, currency, options);
+    const subtotal = servicePrice + oneTimeAddonPrice;
+    const upfrontTotal = subtotal + adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+    converted = converted || (adjustments.some(adjustment => adjustment.type === 'minimum') &&
+        isConvertedPrice(PRICING_RULES.minimums, currency));
 
     return {
         service: serviceName,
@@ -358,35 +622,553 @@ export const calculateEstimatedPrice = (serviceName, complexity = 'basic', curre
         multiplier,
         servicePrice,
         addons: addonDetails,
-        addonPrice,
-        totalPrice,
-        priceRange: service.priceRange[currency],
-        timeline: service.timeline
+        oneTimeAddonPrice,
+        subtotal,
+        adjustments,
+        upfrontTotal,
+        totalPrice: upfrontTotal,
+        recurringCharges,
+        recurringTotals: summarizeRecurringCharges(recurringCharges),
+        firstYearTotal: calculateFirstYearTotal(upfrontTotal, recurringCharges),
+        priceRange: resolvePriceRange(service.priceRange, currency, exchangeRates),
+        timeline: service.timeline,
+        catalogVersion: catalog.version,
+        exchangeRate: converted ? getExchangeRate(currency, exchangeRates) : null
+    };
+};
+
+/**
+ * Calculate the combined price of a multi-service bundle
+ * Each service is priced without PRICING_RULES. The bulk discount is taken off the
+ * combined subtotal first, then the rush fee, customer discounts and minimum charge
+ * are applied once to the whole bundle, as for a single service.
+ * @param {Array} items - Bundled services ({ service, complexity, addons })
+ * @param {string} currency - Currency code (see CURRENCIES)
+ * @param {Object} options - Pricing rule inputs shared by every service
+ * @returns {Object} Bundle price calculation with a breakdown per service
+ */
+export const calculateBundlePrice = (items, currency = 'USD', options = {}) => {
+    const exchangeRates = options.exchangeRates || DEFAULT_EXCHANGE_RATES;
+    const services = items.map(item => calculateEstimatedPrice(
+        item.service,
+        item.complexity,
+        currency,
+        item.addons,
+        { ...options, applyPricingRules: false }
+    ));
+
+    const servicePrice = services.reduce((sum, breakdown) => sum + breakdown.servicePrice, 0);
+    const oneTimeAddonPrice = services.reduce((sum, breakdown) => sum + breakdown.oneTimeAddonPrice, 0);
+    const subtotal = servicePrice + oneTimeAddonPrice;
+    const bulkDiscount = [];
+
+    if (services.length > 1) {
+        const rate = PRICING_RULES.discounts.bulk;
+        bulkDiscount.push({
+            type: 'discount',
+            code: 'bulk',
+            name: 'Multi-service bundle discount',
+            rate,
+            amount: -roundAmount(subtotal * rate, currency, exchangeRates)
+        });
+    }
+
+    const adjustments = applyPricingRules(servicePrice, oneTimeAddonPrice, currency, options, bulkDiscount);
+    const upfrontTotal = subtotal + adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+    const recurringCharges = services.flatMap(breakdown => breakdown.recurringCharges);
+    const converted = services.some(breakdown => breakdown.exchangeRate) ||
+        (adjustments.some(adjustment => adjustment.type === 'minimum') && isConvertedPrice(PRICING_RULES.minimums, currency));
+
+    return {
+        isBundle: true,
+        currency,
+        services,
+        subtotal,
+        adjustments,
+        upfrontTotal,
+        totalPrice: upfrontTotal,
+        recurringCharges,
+        recurringTotals: summarizeRecurringCharges(recurringCharges),
+        firstYearTotal: calculateFirstYearTotal(upfrontTotal, recurringCharges),
+        catalogVersion: (options.catalog || DEFAULT_CATALOG).version,
+        exchangeRate: converted ? getExchangeRate(currency, exchangeRates) : null
+    };
+};
+
+/**
+ * Price a list of services the way quote requests are priced
+ * @param {Array} items - Services ({ service, complexity, addons })
+ * @param {string} currency - Currency code (see CURRENCIES)
+ * @param {Object} options - Pricing rule inputs
+ * @returns {Object} Single-service or bundle price calculation
+ */
+const priceItems = (items, currency, options) => {
+    if (items.length === 1) {
+        return calculateEstimatedPrice(items[0].service, items[0].complexity, currency, items[0].addons, options);
+    }
+    return calculateBundlePrice(items, currency, options);
+};
+
+/**
+ * Compare a customer's budget with the calculated price
+ * When the price is over budget, cheaper variants (a lower complexity tier for a
+ * service, or one fewer add-on) are priced and the closest ones that fit the
+ * budget are suggested.
+ * @param {number} budget - Customer budget, in the quote currency
+ * @param {Object} priceCalculation - Result of calculateEstimatedPrice or calculateBundlePrice
+ * @param {Object} options - Pricing rule inputs used for the calculation
+ * @returns {Object} Budget fit ({ verdict, budget, price, currency, difference, differencePercent,
+ * priceRange, rangePosition, suggestions })
+ */
+export const analyzeBudgetFit = (budget, priceCalculation, options = {}) => {
+    const { currency } = priceCalculation;
+    const breakdowns = priceCalculation.isBundle ? priceCalculation.services : [priceCalculation];
+    const price = priceCalculation.upfrontTotal;
+    const difference = budget - price;
+
+    let verdict = BUDGET_FIT_VERDICTS.WITHIN_BUDGET;
+    if (price > budget * (1 + BUDGET_FIT_RULES.stretchTolerance)) verdict = BUDGET_FIT_VERDICTS.UNDER_FUNDED;
+    else if (price > budget) verdict = BUDGET_FIT_VERDICTS.STRETCH;
+
+    // Combined typical price range of the requested services
+    const priceRange = breakdowns.every(breakdown => breakdown.priceRange)
+        ? breakdowns.reduce((range, breakdown) => ({
+            min: range.min + breakdown.priceRange.min,
+            max: range.max + breakdown.priceRange.max
+        }), { min: 0, max: 0 })
+        : null;
+
+    let rangePosition = null;
+    if (priceRange) {
+        if (budget < priceRange.min) rangePosition = 'below';
+        else if (budget > priceRange.max) rangePosition = 'above';
+        else rangePosition = 'within';
+    }
+
+    return {
+        verdict,
+        budget,
+        price,
+        currency,
+        difference,
+        differencePercent: budget > 0 ? Math.round(difference / budget * 1000) / 10 : null,
+        priceRange,
+        rangePosition,
+        suggestions: verdict === BUDGET_FIT_VERDICTS.WITHIN_BUDGET
+            ? []
+            : suggestBudgetAlternatives(budget, breakdowns, currency, options)
     };
 };
 
+/**
+ * Find cheaper variants of a request that fit the budget
+ * @param {number} budget - Customer budget
+ * @param {Array} breakdowns - Per-service price breakdowns
+ * @param {string} currency - Currency code
+ * @param {Object} options - Pricing rule inputs
+ * @returns {Array} Suggestions ({ description, changes, price }), closest to the original first
+ */
+const suggestBudgetAlternatives = (budget, breakdowns, currency, options) => {
+    const levels = ['basic', 'intermediate', 'advanced'];
+    const items = breakdowns.map(breakdown => ({
+        service: breakdown.service,
+        complexity: breakdown.complexity,
+        addons: breakdown.addons.map(addon => ({ addon: addon.key, tier: addon.tier }))
+    }));
+
+    const variants = [];
+
+    items.forEach((item, index) => {
+        // Lower complexity tiers for this service
+        levels.slice(0, levels.indexOf(item.complexity)).forEach(complexity => {
+            variants.push({
+                description: `${item.service} at ${complexity} complexity instead of ${item.complexity}`,
+                changes: [{ service: item.service, complexity }],
+                items: items.map((other, otherIndex) => otherIndex === index ? { ...other, complexity } : other)
+            });
+        });
+
+        // One fewer add-on for this service
+        breakdowns[index].addons.forEach((addon, addonIndex) => {
+            variants.push({
+                description: `${item.service} without ${addon.name} (${addon.tier})`,
+                changes: [{ service: item.service, removeAddon: addon.key }],
+                items: items.map((other, otherIndex) => otherIndex === index
+                    ? { ...other, addons: other.addons.filter((_, i) => i !== addonIndex) }
+                    : other)
+            });
+        });
+    });
+
+    return variants
+        .map(variant => ({
+            description: variant.description,
+            changes: variant.changes,
+            price: priceItems(variant.items, currency, options).upfrontTotal
+        }))
+        .filter(variant => variant.price <= budget)
+        .sort((a, b) => b.price - a.price)
+        .slice(0, BUDGET_FIT_RULES.maxSuggestions);
+};
+
+/**
+ * Convert a base-currency amount into another currency
+ * The result is rounded to the target currency's rounding increment.
+ * @param {number} amount - Amount in BASE_CURRENCY
+ * @param {string} currency - Target currency code
+ * @param {Object} exchangeRates - Rate table ({ base, asOf, rates })
+ * @returns {number|undefined} Converted amount, or undefined when no rate is known
+ */
+export const convertFromBase = (amount, currency, exchangeRates = DEFAULT_EXCHANGE_RATES) => {
+    const entry = exchangeRates.rates[currency];
+
+    if (typeof amount !== 'number' || !entry) {
+        return undefined;
+    }
+
+    return roundAmount(amount * entry.rate, currency, exchangeRates);
+};
+
+/**
+ * Round an amount to a currency's rounding increment
+ * @param {number} amount - Amount in the given currency
+ * @param {string} currency - Currency code
+ * @param {Object} exchangeRates - Rate table ({ base, asOf, rates })
+ * @returns {number} Rounded amount
+ */
+export const roundAmount = (amount, currency, exchangeRates = DEFAULT_EXCHANGE_RATES) => {
+    const increment = exchangeRates.rates[currency]?.rounding || 1;
+    return Math.round(amount / increment) * increment;
+};
+
+/**
+ * Check whether a price in the requested currency has to be converted from BASE_CURRENCY
+ * @param {Object} prices - Prices keyed by currency code
+ * @param {string} currency - Currency code
+ * @returns {boolean} True when the rate table is used for this price
+ */
+const isConvertedPrice = (prices, currency) => {
+    return currency !== BASE_CURRENCY && typeof prices?.[currency] !== 'number';
+};
+
+/**
+ * Resolve a price in the requested currency
+ * An explicit price for the currency always wins; otherwise the BASE_CURRENCY
+ * price is converted with the rate table.
+ * @param {Object} prices - Prices keyed by currency code
+ * @param {string} currency - Currency code
+ * @param {Object} exchangeRates - Rate table ({ base, asOf, rates })
+ * @returns {number|undefined} Price, or undefined when it cannot be resolved
+ */
+export const resolvePrice = (prices, currency, exchangeRates = DEFAULT_EXCHANGE_RATES) => {
+    if (!prices) {
+        return undefined;
+    }
+
+    if (typeof prices[currency] === 'number') {
+        return prices[currency];
+    }
+
+    return convertFromBase(prices[BASE_CURRENCY], currency, exchangeRates);
+};
+
+/**
+ * Resolve a service's typical price range in the requested currency
+ * @param {Object} priceRanges - Price ranges ({ min, max }) keyed by currency code
+ * @param {string} currency - Currency code
+ * @param {Object} exchangeRates - Rate table ({ base, asOf, rates })
+ * @returns {Object|undefined} Price range ({ min, max })
+ */
+const resolvePriceRange = (priceRanges = {}, currency, exchangeRates) => {
+    if (priceRanges[currency]) {
+        return priceRanges[currency];
+    }
+
+    const baseRange = priceRanges[BASE_CURRENCY];
+    if (!baseRange) {
+        return undefined;
+    }
+
+    return {
+        min: convertFromBase(baseRange.min, currency, exchangeRates),
+        max: convertFromBase(baseRange.max, currency, exchangeRates)
+    };
+};
+
+/**
+ * Describe the exchange rate a price was calculated with
+ * Only recorded when at least one price was converted (see isConvertedPrice).
+ * @param {string} currency - Currency code
+ * @param {Object} exchangeRates - Rate table ({ base, asOf, rates })
+ * @returns {Object} Exchange rate ({ base, currency, rate, asOf })
+ */
+const getExchangeRate = (currency, exchangeRates) => ({
+    base: BASE_CURRENCY,
+    currency,
+    rate: currency === BASE_CURRENCY ? 1 : exchangeRates.rates[currency]?.rate ?? null,
+    asOf: exchangeRates.asOf || null
+});
+
+/**
+ * Calculate the totals of a manually composed, line-item quote
+ * Lines with a billing period are recurring charges; all other lines make up the
+ * upfront total. Amounts are rounded to cents.
+ * @param {Array} lineItems - Lines ({ description, quantity, unitPrice, discountPercent, period })
+ * @param {string} currency - Currency code (see CURRENCIES)
+ * @returns {Object} Price breakdown with computed line amounts and totals
+ */
+export const calculateLineItemQuote = (lineItems, currency = 'USD') => {
+    const roundToCents = (amount) => Math.round(amount * 100) / 100;
+
+    const lines = lineItems.map(item => {
+        const quantity = Number(item.quantity ?? 1);
+        const unitPrice = Number(item.unitPrice);
+        const discountPercent = Number(item.discountPercent || 0);
+        const grossAmount = roundToCents(quantity * unitPrice);
+        const discountAmount = roundToCents(grossAmount * discountPercent / 100);
+
+        return {
+            description: item.description,
+            quantity,
+            unitPrice,
+            discountPercent,
+            discountAmount,
+            amount: roundToCents(grossAmount - discountAmount),
+            period: BILLING_PERIODS[item.period] ? item.period : null
+        };
+    });
+
+    const oneTimeLines = lines.filter(line => !line.period);
+    const subtotal = roundToCents(oneTimeLines.reduce((sum, line) => sum + line.amount + line.discountAmount, 0));
+    const discountTotal = roundToCents(oneTimeLines.reduce((sum, line) => sum + line.discountAmount, 0));
+    const upfrontTotal = roundToCents(subtotal - discountTotal);
+    const recurringCharges = lines
+        .filter(line => line.period)
+        .map(line => ({
+            name: line.description,
+            amount: line.amount,
+            currency,
+            period: line.period
+        }));
+
+    return {
+        isManual: true,
+        currency,
+        lineItems: lines,
+        subtotal,
+        discountTotal,
+        upfrontTotal,
+        totalPrice: upfrontTotal,
+        recurringCharges,
+        recurringTotals: summarizeRecurringCharges(recurringCharges),
+        firstYearTotal: calculateFirstYearTotal(upfrontTotal, recurringCharges)
+    };
+};
+
+/**
+ * Calculate tax on a net amount
+ * @param {number} net - Net (pre-tax) amount
+ * @param {Object|null} taxRule - Applicable rule ({ name, rate, scope, code }), or null for none
+ * @param {Object} options - Exemption details
+ * @param {boolean} options.exempt - Whether the quote is tax-exempt
+ * @param {string} options.exemptReason - Reason recorded for the exemption
+ * @returns {Object} Tax details ({ name, rate, scope, code, exempt, exemptReason, net, amount, gross })
+ */
+export const calculateTax = (net, taxRule, { exempt = false, exemptReason } = {}) => {
+    const rate = exempt || !taxRule ? 0 : taxRule.rate;
+    const amount = Math.round(net * rate * 100) / 100;
+
+    return {
+        name: taxRule?.name || 'Tax',
+        rate,
+        scope: taxRule?.scope || null,
+        code: taxRule?.code || null,
+        exempt: Boolean(exempt),
+        exemptReason: exempt ? exemptReason || null : null,
+        net,
+        amount,
+        gross: Math.round((net + amount) * 100) / 100
+    };
+};
+
+/**
+ * Get the number of days a quote for the given services stays valid
+ * @param {Array} serviceNames - Quoted service names (one for a single-service quote)
+ * @param {Object} services - Catalog services to read `validityDays` from
+ * @returns {number} Validity in days
+ */
+export const getQuoteValidityDays = (serviceNames, services = SERVICES) => {
+    const days = serviceNames
+        .map(name => getServiceByName(name, services)?.validityDays)
+        .filter(validityDays => validityDays > 0);
+
+    return days.length > 0 ? Math.min(...days) : QUOTE_VALIDITY.defaultDays;
+};
+
+/**
+ * Calculate the date a quote expires
+ * @param {number} days - Validity in days
+ * @param {Date} from - Date the quote is issued
+ * @returns {Date} Expiry date
+ */
+export const calculateValidUntil = (days, from = new Date()) => {
+    return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Total recurring charges for each billing period
+ * @param {Array} recurringCharges - Recurring charges ({ amount, period })
+ * @returns {Object} Totals keyed by period, e.g. { monthly: 1300, yearly: 1950 }
+ */
+export const summarizeRecurringCharges = (recurringCharges = []) => {
+    return recurringCharges.reduce((totals, charge) => {
+        totals[charge.period] = (totals[charge.period] || 0) + charge.amount;
+        return totals;
+    }, {});
+};
+
+/**
+ * Calculate the first-year total cost of ownership
+ * @param {number} upfrontTotal - One-time charges
+ * @param {Array} recurringCharges - Recurring charges ({ amount, period })
+ * @returns {number} Upfront total plus twelve months of recurring charges
+ */
+export const calculateFirstYearTotal = (upfrontTotal, recurringCharges = []) => {
+    return recurringCharges.reduce(
+        (total, charge) => total + charge.amount * (BILLING_PERIODS[charge.period] || 0),
+        upfrontTotal
+    );
+};
+
+/**
+ * Normalise an add-on selection into { addon, tier }
+ * @param {string|Object} selection - Addon key, 'addon:tier' string or { addon, tier } object
+ * @returns {Object} Addon key and selected tier (tier is undefined when not specified)
+ */
+const parseAddonSelection = (selection) => {
+    if (typeof selection === 'string') {
+        const separatorIndex = selection.indexOf(':');
+        if (separatorIndex === -1) {
+            return { addon: selection, tier: undefined };
+        }
+        return {
+            addon: selection.slice(0, separatorIndex),
+            tier: selection.slice(separatorIndex + 1) || undefined
+        };
+    }
+
+    return { addon: selection?.addon, tier: selection?.tier };
+};
+
+/**
+ * Apply PRICING_RULES (rush fees, discounts and minimums) to a service price
+ * Rush fees are charged on the service price only; discounts are taken off the
+ * rushed upfront subtotal, and the currency minimum is enforced last. Recurring
+ * add-ons are never discounted here. Amounts are rounded to the currency's
+ * rounding increment.
+ * @param {number} servicePrice - Price of the service after the complexity multiplier
+ * @param {number} addonPrice - Combined price of the one-time add-ons
+ * @param {string} currency - Currency code (see CURRENCIES)
+ * @param {Object} options - Pricing rule inputs (timeline, customerType, isReturningCustomer, exchangeRates)
+ * @param {Array} priorAdjustments - Adjustments already taken off the price (e.g. the bundle discount)
+ * @returns {Array} Adjustment lines ({ type, code, name, rate, amount }), including priorAdjustments
+ */
+const applyPricingRules = (servicePrice, addonPrice, currency, options = {}, priorAdjustments = []) => {
+    const { timeline, customerType, isReturningCustomer = false } = options;
+    const exchangeRates = options.exchangeRates || DEFAULT_EXCHANGE_RATES;
+    const round = (amount) => roundAmount(amount, currency, exchangeRates);
+    const adjustments = [...priorAdjustments];
+
+    // The service's share of the prior adjustments, so the rush fee is charged after them
+    const priorTotal = priorAdjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+    const rushBase = servicePrice + (servicePrice + addonPrice > 0
+        ? priorTotal * servicePrice / (servicePrice + addonPrice)
+        : 0);
+
+    // Rush fee based on the requested timeline
+    const rushFee = TIMELINE_RUSH_FEES[timeline];
+    if (rushFee) {
+        const rate = PRICING_RULES.rushFees[rushFee];
+        adjustments.push({
+            type: 'rush_fee',
+            code: rushFee,
+            name: rushFee === 'urgent' ? 'Urgent delivery fee' : 'Expedited delivery fee',
+            rate,
+            amount: round(rushBase * rate)
+        });
+    }
+
+    const discountBase = servicePrice + addonPrice +
+        adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+
+    // Discount for the declared customer type
+    const customerDiscount = CUSTOMER_TYPES[customerType];
+    if (customerDiscount) {
+        const rate = PRICING_RULES.discounts[customerDiscount];
+        adjustments.push({
+            type: 'discount',
+            code: customerDiscount,
+            name: `${customerType} discount`,
+            rate,
+            amount: -round(discountBase * rate)
+        });
+    }
+
+    // Discount for returning customers
+    if (isReturningCustomer) {
+        const rate = PRICING_RULES.discounts.returning;
+        adjustments.push({
+            type: 'discount',
+            code: 'returning',
+            name: 'Returning customer discount',
+            rate,
+            amount: -round(discountBase * rate)
+        });
+    }
+
+    // Enforce the minimum charge for the currency
+    const minimum = resolvePrice(PRICING_RULES.minimums, currency, exchangeRates);
+    const total = servicePrice + addonPrice +
+        adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+
+    if (minimum && total < minimum) {
+        adjustments.push({
+            type: 'minimum',
+            code: 'minimum',
+            name: 'Minimum charge adjustment',
+            rate: null,
+            amount: minimum - total
+        });
+    }
+
+    return adjustments;
+};
+
 /**
  * Get all available services
+ * @param {Object} services - Services keyed by catalog key (defaults to SERVICES)
  * @returns {Array} Array of service objects
  */
-export const getAllServices = () => {
-    return Object.values(SERVICES);
+export const getAllServices = (services = SERVICES) => {
+    return Object.entries(services).map(([key, service]) => ({ key, ...service }));
 };
 
 /**
  * Get services by category
  * @param {string} category - Service category
+ * @param {Object} services - Services keyed by catalog key (defaults to SERVICES)
  * @returns {Array} Array of services in the category
  */
-export const getServicesByCategory = (category) => {
-    return Object.values(SERVICES).filter(service => service.category === category);
+export const getServicesByCategory = (category, services = SERVICES) => {
+    return getAllServices(services).filter(service => service.category === category);
 };
 
 /**
  * Get service by name
  * @param {string} name - Service name
+ * @param {Object} services - Services keyed by catalog key (defaults to SERVICES)
  * @returns {Object} Service object
  */
-export const getServiceByName = (name) => {
-    return Object.values(SERVICES).find(service => service.name === name);
+export const getServiceByName = (name, services = SERVICES) => {
+    return getAllServices(services).find(service => service.name === name);
 };
\ No newline at end of file
@@ -0,0 +1,206 @@
+import Quote from '../models/quote.js';
+import config from '../config/env.js';
+import { MAX_ATTACHMENTS_PER_QUOTE, OPEN_QUOTE_STATUSES } from '../constants/services.js';
+import { storeAttachments, openAttachment, removeAttachments } from '../utils/attachmentStorage.js';
+import { verifyAttachmentDownloadToken } from '../utils/quoteLinks.js';
+import { sendAttachmentsAddedEmail } from '../utils/nodemailer.js';
+
+/**
+ * Stream an attachment to the client as a download
+ * @param {Object} res - Express response object
+ * @param {Object} attachment - Attachment entry
+ */
+const sendAttachment = (res, attachment) => {
+    const stream = openAttachment(attachment);
+
+    stream.once('error', (error) => {
+        console.error(`Failed to read attachment ${attachment._id}:`, error.message);
+        if (!res.headersSent) {
+            res.status(404).json({
+                success: false,
+                message: 'Attachment file not found'
+            });
+        } else {
+            res.end();
+        }
+    });
+
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename}"`);
+    stream.pipe(res);
+};
+
+/**
+ * Add files to a quote request from the customer's follow-up upload link
+ * The link is verified by `verifyUploadLink` before the files are read.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const uploadQuoteAttachments = async (req, res) => {
+    try {
+        if (!req.files?.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Attach at least one file in the "attachments" field'
+            });
+        }
+
+        const quote = await Quote.findById(req.uploadLink.sub);
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        if (!OPEN_QUOTE_STATUSES.includes(quote.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `This quote is ${quote.status} and no longer accepts files`
+            });
+        }
+
+        if (quote.attachments.length + req.files.length > MAX_ATTACHMENTS_PER_QUOTE) {
+            return res.status(409).json({
+                success: false,
+                message: `A quote request can hold at most ${MAX_ATTACHMENTS_PER_QUOTE} files (${quote.attachments.length} already attached)`
+            });
+        }
+
+        const attachments = await storeAttachments(req.files, 'customer');
+        try {
+            await quote.addAttachments(attachments);
+        } catch (error) {
+            await removeAttachments(attachments);
+            throw error;
+        }
+        const added = quote.attachments.slice(-attachments.length);
+
+        try {
+            await sendAttachmentsAddedEmail(quote, added);
+        } catch (emailError) {
+            console.error('Failed to send attachment notification:', emailError.message);
+            // Don't fail the request if email fails
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${added.length} files attached successfully`,
+            data: added.map(({ _id, filename, contentType, size, uploadedAt }) => ({ _id, filename, contentType, size, uploadedAt }))
+        });
+
+    } catch (error) {
+        console.error('Error uploading attachments:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload attachments',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get the attachments on a quote
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuoteAttachments = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const quote = await Quote.findById(id).select('attachments').lean();
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Attachments retrieved successfully',
+            data: quote.attachments || []
+        });
+
+    } catch (error) {
+        console.error('Error fetching attachments:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve attachments',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Download an attachment on a quote
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadQuoteAttachment = async (req, res) => {
+    try {
+        const { id, attachmentId } = req.params;
+
+        const quote = await Quote.findById(id).select('attachments');
+        const attachment = quote?.attachments.id(attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: quote ? 'Attachment not found' : 'Quote not found'
+            });
+        }
+
+        sendAttachment(res, attachment);
+
+    } catch (error) {
+        console.error('Error downloading attachment:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download attachment',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Download an attachment from a signed link in an admin email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadAttachmentFromLink = async (req, res) => {
+    try {
+        let payload;
+        try {
+            payload = verifyAttachmentDownloadToken(req.params.token);
+        } catch (error) {
+            return res.status(error.name === 'TokenExpiredError' ? 410 : 400).json({
+                success: false,
+                message: error.name === 'TokenExpiredError' ? 'This download link has expired' : 'This download link is not valid'
+            });
+        }
+
+        const quote = await Quote.findById(payload.sub).select('attachments');
+        const attachment = quote?.attachments.id(payload.attachment);
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        sendAttachment(res, attachment);
+
+    } catch (error) {
+        console.error('Error downloading attachment:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download attachment',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
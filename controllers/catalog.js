@@ -0,0 +1,628 @@
+import CatalogVersion from '../models/catalogVersion.js';
+import ExchangeRate from '../models/exchangeRate.js';
+import config from '../config/env.js';
+import { getAllServices, resolvePrice } from '../constants/services.js';
+import { assessComplexity, selectAddons, getScoringRules, validateScoringRules } from '../utils/complexity.js';
+
+// Catalog service fields that admins may set
+const EDITABLE_SERVICE_FIELDS = [
+    'name',
+    'description',
+    'category',
+    'features',
+    'timeline',
+    'designTypes',
+    'platforms',
+    'channels',
+    'campaignDurations',
+    'basePrice',
+    'priceRange',
+    'complexity',
+    'validityDays'
+];
+
+// Fields merged key by key rather than replaced outright
+const MERGED_SERVICE_FIELDS = ['basePrice', 'priceRange', 'complexity'];
+
+// Fields keyed by currency
+const PRICE_FIELDS = ['basePrice', 'priceRange'];
+
+/**
+ * Apply admin changes to a catalog service
+ * Prices, price ranges and complexity levels are merged so that an update can
+ * change a single currency or multiplier without resending the rest. A null
+ * price or price range removes that currency's explicit override.
+ * @param {Object} service - Existing catalog service (or an empty object)
+ * @param {Object} changes - Request body
+ * @returns {Object} Updated service
+ */
+const applyServiceChanges = (service, changes) => {
+    const updated = { ...service };
+
+    EDITABLE_SERVICE_FIELDS.forEach(field => {
+        if (changes[field] === undefined) {
+            return;
+        }
+
+        if (MERGED_SERVICE_FIELDS.includes(field)) {
+            updated[field] = { ...(service[field] || {}) };
+            Object.entries(changes[field]).forEach(([key, value]) => {
+                if (value === null && PRICE_FIELDS.includes(field)) {
+                    delete updated[field][key];
+                    return;
+                }
+
+                updated[field][key] = value && typeof value === 'object' && !Array.isArray(value)
+                    ? { ...(updated[field][key] || {}), ...value }
+                    : value;
+            });
+        } else {
+            updated[field] = changes[field];
+        }
+    });
+
+    return updated;
+};
+
+/**
+ * Find the catalog key of a service by name
+ * @param {Object} services - Catalog services keyed by catalog key
+ * @param {string} name - Service name
+ * @returns {string|undefined} Catalog key
+ */
+const findServiceKeyByName = (services, name) => {
+    return Object.keys(services).find(key => services[key].name === name);
+};
+
+/**
+ * Format a catalog version for API responses
+ * @param {Object} catalog - Catalog version document
+ * @returns {Object} Catalog version with services as an array
+ */
+const formatCatalogVersion = (catalog) => ({
+    version: catalog.version,
+    effectiveFrom: catalog.effectiveFrom,
+    changeSummary: catalog.changeSummary,
+    createdBy: catalog.createdBy,
+    createdAt: catalog.createdAt,
+    services: getAllServices(catalog.services),
+    addons: catalog.addons
+});
+
+/**
+ * Get the catalog currently in effect
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCatalog = async (req, res) => {
+    try {
+        const active = await CatalogVersion.getActive();
+        const latest = await CatalogVersion.getLatest();
+
+        res.status(200).json({
+            success: true,
+            message: 'Service catalog retrieved successfully',
+            data: {
+                ...formatCatalogVersion(active),
+                latestVersion: latest.version,
+                hasScheduledChanges: latest.version !== active.version
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching service catalog:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve service catalog',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * List all catalog versions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCatalogVersions = async (req, res) => {
+    try {
+        await CatalogVersion.ensureSeeded();
+
+        const versions = await CatalogVersion.find()
+            .sort({ version: -1 })
+            .select('version effectiveFrom changeSummary createdBy createdAt')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            message: 'Catalog versions retrieved successfully',
+            data: {
+                versions
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching catalog versions:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve catalog versions',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get a specific catalog version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCatalogVersion = async (req, res) => {
+    try {
+        const catalog = await CatalogVersion.findByVersion(parseInt(req.params.version));
+
+        if (!catalog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Catalog version not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Catalog version retrieved successfully',
+            data: formatCatalogVersion(catalog)
+        });
+
+    } catch (error) {
+        console.error('Error fetching catalog version:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve catalog version',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get a catalog service by key, as of the latest catalog version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCatalogService = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const latest = await CatalogVersion.getLatest();
+        const service = latest.services[key];
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Service retrieved successfully',
+            data: {
+                key,
+                ...service,
+                catalogVersion: latest.version
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching catalog service:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve service',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Add a service to the catalog (publishes a new catalog version)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createCatalogService = async (req, res) => {
+    try {
+        const { key, effectiveFrom, changeSummary } = req.body;
+        const latest = await CatalogVersion.getLatest();
+
+        if (latest.services[key] || findServiceKeyByName(latest.services, req.body.name)) {
+            return res.status(409).json({
+                success: false,
+                message: 'A service with this key or name already exists'
+            });
+        }
+
+        const catalog = await CatalogVersion.publish(({ services }) => {
+            services[key] = applyServiceChanges({ priceRange: {} }, req.body);
+        }, {
+            effectiveFrom,
+            changeSummary: changeSummary || `Added ${req.body.name}`,
+            createdBy: req.user?.email
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Service added to the catalog successfully',
+            data: {
+                key,
+                ...catalog.services[key],
+                catalogVersion: catalog.version,
+                effectiveFrom: catalog.effectiveFrom
+            }
+        });
+
+    } catch (error) {
+        console.error('Error creating catalog service:', error.message);
+
+        if (error.name === 'CatalogScheduleError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add service to the catalog',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Update a catalog service (publishes a new catalog version)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateCatalogService = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { effectiveFrom, changeSummary } = req.body;
+        const latest = await CatalogVersion.getLatest();
+
+        if (!latest.services[key]) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        const nameOwner = req.body.name && findServiceKeyByName(latest.services, req.body.name);
+        if (nameOwner && nameOwner !== key) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another service already uses this name'
+            });
+        }
+
+        const catalog = await CatalogVersion.publish(({ services }) => {
+            services[key] = applyServiceChanges(services[key], req.body);
+        }, {
+            effectiveFrom,
+            changeSummary: changeSummary || `Updated ${latest.services[key].name}`,
+            createdBy: req.user?.email
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Service updated successfully',
+            data: {
+                key,
+                ...catalog.services[key],
+                catalogVersion: catalog.version,
+                effectiveFrom: catalog.effectiveFrom
+            }
+        });
+
+    } catch (error) {
+        console.error('Error updating catalog service:', error.message);
+
+        if (error.name === 'CatalogScheduleError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update service',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Remove a service from the catalog (publishes a new catalog version)
+ * Existing quotes for the service are kept and remain reproducible from older versions.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteCatalogService = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { effectiveFrom, changeSummary } = req.body || {};
+        const latest = await CatalogVersion.getLatest();
+        const service = latest.services[key];
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        const catalog = await CatalogVersion.publish(({ services }) => {
+            delete services[key];
+        }, {
+            effectiveFrom,
+            changeSummary: changeSummary || `Removed ${service.name}`,
+            createdBy: req.user?.email
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Service removed from the catalog successfully',
+            data: {
+                key,
+                catalogVersion: catalog.version,
+                effectiveFrom: catalog.effectiveFrom
+            }
+        });
+
+    } catch (error) {
+        console.error('Error removing catalog service:', error.message);
+
+        if (error.name === 'CatalogScheduleError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove service',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Create or replace the pricing of a catalog add-on (publishes a new catalog version)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateCatalogAddon = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { name, prices, effectiveFrom, changeSummary } = req.body;
+        const latest = await CatalogVersion.getLatest();
+        const existing = latest.addons[key];
+
+        if (!existing && !name) {
+            return res.status(400).json({
+                success: false,
+                message: 'A name is required for new add-ons'
+            });
+        }
+
+        const catalog = await CatalogVersion.publish(({ addons }) => {
+            addons[key] = {
+                name: name || existing.name,
+                prices
+            };
+        }, {
+            effectiveFrom,
+            changeSummary: changeSummary || `${existing ? 'Updated' : 'Added'} ${name || existing.name} pricing`,
+            createdBy: req.user?.email
+        });
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: 'Add-on pricing saved successfully',
+            data: {
+                key,
+                ...catalog.addons[key],
+                catalogVersion: catalog.version,
+                effectiveFrom: catalog.effectiveFrom
+            }
+        });
+
+    } catch (error) {
+        console.error('Error saving add-on pricing:', error.message);
+
+        if (error.name === 'CatalogScheduleError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save add-on pricing',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get the complexity-scoring rules of a catalog service, as of the latest catalog version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getServiceScoring = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const latest = await CatalogVersion.getLatest();
+        const service = latest.services[key];
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Scoring rules retrieved successfully',
+            data: {
+                key,
+                service: service.name,
+                isDefault: !service.scoring,
+                rules: getScoringRules({ key, ...service }),
+                catalogVersion: latest.version
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching scoring rules:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve scoring rules',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Replace the complexity-scoring rules of a catalog service (publishes a new catalog version)
+ * Sending `rules: null` reverts the service to the built-in default rules.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateServiceScoring = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { rules, effectiveFrom, changeSummary } = req.body;
+        const latest = await CatalogVersion.getLatest();
+        const service = latest.services[key];
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        if (rules !== null) {
+            const errors = validateScoringRules(rules, latest.addons);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid scoring rules',
+                    errors
+                });
+            }
+        }
+
+        const catalog = await CatalogVersion.publish(({ services }) => {
+            if (rules === null) {
+                delete services[key].scoring;
+            } else {
+                services[key].scoring = rules;
+            }
+        }, {
+            effectiveFrom,
+            changeSummary: changeSummary || `${rules === null ? 'Reset' : 'Updated'} ${service.name} scoring rules`,
+            createdBy: req.user?.email
+        });
+
+        const updated = catalog.services[key];
+
+        res.status(200).json({
+            success: true,
+            message: 'Scoring rules saved successfully',
+            data: {
+                key,
+                service: updated.name,
+                isDefault: !updated.scoring,
+                rules: getScoringRules({ key, ...updated }),
+                catalogVersion: catalog.version,
+                effectiveFrom: catalog.effectiveFrom
+            }
+        });
+
+    } catch (error) {
+        console.error('Error saving scoring rules:', error.message);
+
+        if (error.name === 'CatalogScheduleError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save scoring rules',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Classify a sample quote payload without saving anything
+ * Uses the rules in the request body when given, otherwise the service's current rules.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const dryRunServiceScoring = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { quote, rules } = req.body;
+        const latest = await CatalogVersion.getLatest();
+        const service = latest.services[key];
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        if (rules !== undefined) {
+            const errors = validateScoringRules(rules, latest.addons);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid scoring rules',
+                    errors
+                });
+            }
+        }
+
+        const quoteData = { ...quote, service: service.name };
+        const exchangeRates = await ExchangeRate.getRateTable();
+        const basePrice = resolvePrice(service.basePrice, quoteData.currency || 'KES', exchangeRates);
+        const appliedRules = rules || getScoringRules({ key, ...service });
+
+        res.status(200).json({
+            success: true,
+            message: 'Dry run completed successfully',
+            data: {
+                key,
+                service: service.name,
+                rulesSource: rules ? 'request' : (service.scoring ? 'catalog' : 'default'),
+                complexityAssessment: assessComplexity(quoteData, appliedRules, { basePrice }),
+                addons: selectAddons(quoteData, appliedRules)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error running scoring dry run:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run scoring dry run',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
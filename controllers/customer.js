@@ -0,0 +1,194 @@
+import Customer from '../models/customer.js';
+import Quote from '../models/quote.js';
+import config from '../config/env.js';
+
+// Customer fields that admins may set
+const EDITABLE_CUSTOMER_FIELDS = ['name', 'phone', 'company', 'tags'];
+
+/**
+ * Search customers by name, email or company, and by tag
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCustomers = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, search, tag } = req.query;
+
+        const filter = Customer.searchFilter({ search, tag });
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const customers = await Customer.find(filter)
+            .sort({ updatedAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const totalCustomers = await Customer.countDocuments(filter);
+        const totalPages = Math.ceil(totalCustomers / parseInt(limit));
+
+        res.status(200).json({
+            success: true,
+            message: 'Customers retrieved successfully',
+            data: {
+                customers,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalCustomers,
+                    hasNextPage: parseInt(page) < totalPages,
+                    hasPrevPage: parseInt(page) > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching customers:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve customers',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get a customer with all their quotes, newest first, and a summary of their history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCustomerById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const customer = await Customer.findById(id).lean();
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        const quotes = await Quote.find({ customer: customer._id })
+            .sort({ createdAt: -1 })
+            .select('-revisions -statusHistory -noteThread')
+            .lean();
+        const summary = await Quote.getCustomerSummary(customer._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Customer retrieved successfully',
+            data: {
+                ...customer,
+                summary,
+                quotes
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching customer:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve customer',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Update a customer's contact details and tags
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateCustomer = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const customer = await Customer.findById(id);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        EDITABLE_CUSTOMER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                customer[field] = field === 'tags' ? [...new Set(req.body.tags)] : req.body[field];
+            }
+        });
+        const updatedCustomer = await customer.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Customer updated successfully',
+            data: updatedCustomer
+        });
+
+    } catch (error) {
+        console.error('Error updating customer:', error.message);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update customer',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Merge another customer into this one
+ * The other customer's quotes, emails and tags move here and the other customer is deleted.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const mergeCustomers = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { customerId } = req.body;
+
+        if (id === customerId) {
+            return res.status(400).json({
+                success: false,
+                message: 'A customer cannot be merged into itself'
+            });
+        }
+
+        const customer = await Customer.findById(id);
+        const other = await Customer.findById(customerId);
+
+        if (!customer || !other) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        const { modifiedCount } = await Quote.reassignCustomer(other._id, customer._id);
+        await customer.absorb(other);
+        await other.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: `Customer merged successfully (${modifiedCount} quotes moved)`,
+            data: customer
+        });
+
+    } catch (error) {
+        console.error('Error merging customers:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to merge customers',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
@@ -1,20 +1,88 @@
 import Quote from '../models/quote.js';
+import CatalogVersion from '../models/catalogVersion.js';
+import ExchangeRate from '../models/exchangeRate.js';
+import TaxRate from '../models/taxRate.js';
+import PriorityRules from '../models/priorityRules.js';
 import config from '../config/env.js';
-import { sendQuoteNotificationEmail, sendQuoteResponseEmail, sendStatusUpdateEmail } from '../utils/nodemailer.js';
-import { calculateEstimatedPrice, getServiceByName } from '../constants/services.js';
+import {
+    sendQuoteNotificationEmail,
+    sendQuoteResponseEmail,
+    sendStatusUpdateEmail,
+    sendQuoteAssignmentEmail
+} from '../utils/nodemailer.js';
+import {
+    calculateEstimatedPrice,
+    calculateBundlePrice,
+    getServiceByName,
+    resolvePrice,
+    analyzeBudgetFit,
+    calculateLineItemQuote,
+    calculateTax,
+    calculateValidUntil,
+    getQuoteValidityDays,
+    QUOTE_STATUSES,
+    OPEN_QUOTE_STATUSES,
+    DUPLICATE_HANDLING
+} from '../constants/services.js';
+import { assessComplexity, selectAddons, getScoringRules } from '../utils/complexity.js';
+import { diffRevisions } from '../utils/revisions.js';
+import { assessPriority } from '../utils/priority.js';
+import { getSlaStatus } from '../utils/sla.js';
+import { autoAssignQuote } from '../utils/quoteAssignment.js';
+import { getPurgeDate } from '../utils/quoteTrash.js';
+import { findLikelyDuplicate } from '../utils/duplicates.js';
+import { findCustomer, linkCustomer } from '../utils/customers.js';
+import { storeAttachments, removeAttachments } from '../utils/attachmentStorage.js';
+import { createAttachmentUploadUrl } from '../utils/quoteLinks.js';
 
 /**
  * Get all quote requests with pagination and filtering
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const getAllQuotes = async (req, res) => {
+export const getAllQuotes = (req, res) => listQuotes(req, res);
+
+/**
+ * Get the logged-in admin's queue: quotes assigned to them, open ones only unless a status is given
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyQuotes = (req, res) => listQuotes(req, res, {
+    assignedTo: req.user.email.toLowerCase(),
+    ...(req.query.status ? {} : { status: { $in: OPEN_QUOTE_STATUSES } })
+});
+
+/**
+ * Get the quotes in the trash, with the same filters and pagination as the quote list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTrashedQuotes = (req, res) => listQuotes(req, res, { deletedAt: { $ne: null } });
+
+/**
+ * Get the requests suspected of repeating an earlier one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getDuplicateQuotes = (req, res) => listQuotes(req, res, { duplicateOf: { $ne: null } });
+
+/**
+ * List quotes with pagination and the query-string filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} scope - Filters that take precedence over the query string
+ */
+const listQuotes = async (req, res, scope = {}) => {
     try {
         const {
             page = 1,
             limit = 10,
             status,
             service,
+            bundle,
+            budgetFit,
+            priority,
+            assignedTo,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
@@ -22,7 +90,12 @@ export const getAllQuotes = async (req, res) => {
         // Build filter object
         const filter = {};
         if (status) filter.status = status;
-        if (service) filter.service = service;
+        if (service) Object.assign(filter, Quote.serviceFilter(service));
+        if (bundle !== undefined) filter.isBundle = bundle === 'true';
+        if (budgetFit) filter['budgetFit.verdict'] = budgetFit;
+        if (priority) filter.priority = priority;
+        if (assignedTo) filter.assignedTo = assignedTo === 'unassigned' ? null : assignedTo.toLowerCase();
+        Object.assign(filter, scope);
 
         // Calculate pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -33,6 +106,7 @@ export const getAllQuotes = async (req, res) => {
             .sort(sortOptions)
             .skip(skip)
             .limit(parseInt(limit))
+            .select('-revisions -statusHistory')
             .lean();
 
         // Get total count for pagination
@@ -85,7 +159,11 @@ export const getQuoteById = async (req, res) => {
         res.status(200).json({
             success: true,
             message: 'Quote retrieved successfully',
-            data: quote
+            data: {
+                ...quote.toJSON(),
+                stageDurations: quote.getStageDurations(),
+                slaStatus: getSlaStatus(quote)
+            }
         });
 
     } catch (error) {
@@ -106,32 +184,262 @@ export const getQuoteById = async (req, res) => {
     }
 };
 
+/**
+ * Get the complexity assessment behind a quote's automatic price
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuoteComplexity = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const quote = await Quote.findById(id)
+            .select('service services isBundle complexityAssessment')
+            .lean();
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        const assessments = quote.isBundle
+            ? quote.services.map(item => ({ service: item.service, ...item.complexityAssessment }))
+            : [{ service: quote.service, ...quote.complexityAssessment }];
+
+        if (!assessments.every(assessment => assessment.level)) {
+            return res.status(404).json({
+                success: false,
+                message: 'No complexity assessment recorded for this quote'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Complexity assessment retrieved successfully',
+            data: {
+                quoteId: quote._id,
+                isBundle: Boolean(quote.isBundle),
+                assessments
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching complexity assessment:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve complexity assessment',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get the revisions issued for a quote, oldest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuoteRevisions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const quote = await Quote.findById(id)
+            .select('revisions')
+            .lean();
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Quote revisions retrieved successfully',
+            data: {
+                quoteId: quote._id,
+                currentRevision: quote.revisions.length || null,
+                revisions: quote.revisions
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching quote revisions:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve quote revisions',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Compare two revisions of a quote
+ * Defaults to the current revision against the one before it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const diffQuoteRevisions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const quote = await Quote.findById(id).select('revisions');
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        const to = req.query.to ? parseInt(req.query.to) : quote.currentRevision;
+        const from = req.query.from ? parseInt(req.query.from) : to - 1;
+        const fromRevision = quote.getRevision(from);
+        const toRevision = quote.getRevision(to);
+
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({
+                success: false,
+                message: quote.revisions.length < 2
+                    ? 'This quote has fewer than two revisions'
+                    : `Revision ${!fromRevision ? from : to} not found`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Quote revisions compared successfully',
+            data: {
+                quoteId: quote._id,
+                ...diffRevisions(fromRevision.toObject(), toRevision.toObject())
+            }
+        });
+
+    } catch (error) {
+        console.error('Error comparing quote revisions:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to compare quote revisions',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
 /**
  * Create a new quote request
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const createQuote = async (req, res) => {
+    // Files stored for this request, removed again if the quote is not saved
+    let unsavedAttachments = [];
+
     try {
-        const quoteData = req.body;
+        // Only the fields a customer fills in are taken from the request; status, priority,
+        // SLA, notes, assignment, revisions and the rest are set by the server
+        const quoteData = Quote.pickRequestFields(req.body);
 
         // Create new quote
         const quote = new Quote(quoteData);
+
+        // A likely repeat of an earlier request is turned away or linked to it, never re-quoted
+        const duplicate = await findLikelyDuplicate(quote);
+        const duplicateOf = duplicate && {
+            id: duplicate.quote._id,
+            status: duplicate.quote.status,
+            submittedAt: duplicate.quote.createdAt
+        };
+
+        if (duplicate && config.quotes.duplicateHandling === DUPLICATE_HANDLING.REJECT) {
+            return res.status(409).json({
+                success: false,
+                message: 'This request looks like one you already sent us. We will follow up on your earlier request.',
+                data: { duplicateOf }
+            });
+        }
+
+        // The customer record is only created or updated once the quote is saved
+        await findCustomer(quote);
+        await triageQuote(quote);
+
+        unsavedAttachments = await storeAttachments(req.files);
+        quote.attachments = unsavedAttachments;
+
+        if (duplicate) {
+            quote.duplicateOf = duplicate.quote._id;
+            quote.duplicateSimilarity = duplicate.similarity;
+            const savedDuplicate = await quote.save();
+            unsavedAttachments = [];
+            await linkCustomer(savedDuplicate);
+
+            // Let an admin know so the duplicate gets merged
+            try {
+                await sendQuoteNotificationEmail(savedDuplicate);
+            } catch (emailError) {
+                console.error('Failed to send duplicate notification:', emailError.message);
+                // Don't fail the request if email fails
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Quote request received. It looks like a repeat of an earlier request, so we will follow up on that one.',
+                data: {
+                    quote: savedDuplicate,
+                    duplicateOf,
+                    attachmentUploadUrl: createAttachmentUploadUrl(savedDuplicate)
+                }
+            });
+        }
+
         const savedQuote = await quote.save();
+        unsavedAttachments = [];
+        await linkCustomer(savedQuote);
+
+        // Hand the request to an admin when auto-assignment is enabled
+        try {
+            await autoAssignQuote(savedQuote);
+        } catch (assignError) {
+            console.error(`Failed to auto-assign quote ${savedQuote._id}:`, assignError.message);
+            // Don't fail the request: the quote is saved and can be assigned by hand
+        }
 
         // Automatically calculate and add quote based on service
         try {
-            const complexity = determineComplexity(quoteData);
-            const addons = determineAddons(quoteData);
-            const priceCalculation = calculateEstimatedPrice(
-                quoteData.service,
-                complexity,
-                quoteData.currency || 'KES',
-                addons
-            );
+            const { priceCalculation, validityDays } = await calculateAutomaticQuote(savedQuote, quoteData);
 
             // Add the calculated quote to the saved quote
-            const quotedQuote = await savedQuote.addQuote(priceCalculation.totalPrice, quoteData.currency || 'KES');
+            const quotedQuote = await savedQuote.addQuote(
+                priceCalculation.upfrontTotal,
+                quoteData.currency || 'KES',
+                priceCalculation,
+                { tax: priceCalculation.tax, validityDays }
+            );
 
             // Send quote response email to customer immediately
             await sendQuoteResponseEmail(quotedQuote, priceCalculation);
@@ -144,7 +452,8 @@ export const createQuote = async (req, res) => {
                 message: 'Quote request submitted and quote sent successfully',
                 data: {
                     quote: quotedQuote,
-                    priceBreakdown: priceCalculation
+                    priceBreakdown: priceCalculation,
+                    attachmentUploadUrl: createAttachmentUploadUrl(quotedQuote)
                 }
             });
 
@@ -165,6 +474,8 @@ export const createQuote = async (req, res) => {
     } catch (error) {
         console.error('Error creating quote:', error.message);
 
+        await removeAttachments(unsavedAttachments);
+
         if (error.name === 'ValidationError') {
             const validationErrors = Object.values(error.errors).map(err => err.message);
             return res.status(400).json({
@@ -190,10 +501,10 @@ export const createQuote = async (req, res) => {
 export const updateQuoteStatus = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, notes } = req.body;
+        const { status, notes, noteVisibility, override, overrideReason } = req.body;
 
         // Validate status
-        const validStatuses = ['pending', 'reviewed', 'quoted', 'accepted', 'rejected', 'completed'];
+        const validStatuses = Object.values(QUOTE_STATUSES);
         if (!validStatuses.includes(status)) {
             return res.status(400).json({
                 success: false,
@@ -213,12 +524,17 @@ export const updateQuoteStatus = async (req, res) => {
         // Store old status for email notification
         const oldStatus = quote.status;
 
-        // Update status using model method
-        const updatedQuote = await quote.updateStatus(status, notes);
+        // Update status using model method (the workflow is enforced on save)
+        const updatedQuote = await quote.updateStatus(status, notes, {
+            overrideReason: override ? overrideReason : undefined,
+            changedBy: req.user?.email,
+            noteVisibility
+        });
 
-        // Send status update email to customer
+        // Send status update email to customer, with the note only if it is customer-visible
         try {
-            await sendStatusUpdateEmail(updatedQuote, oldStatus);
+            const note = notes ? updatedQuote.noteThread[updatedQuote.noteThread.length - 1] : null;
+            await sendStatusUpdateEmail(updatedQuote, oldStatus, note);
         } catch (emailError) {
             console.error('Failed to send status update email:', emailError.message);
             // Don't fail the request if email fails
@@ -240,6 +556,15 @@ export const updateQuoteStatus = async (req, res) => {
             });
         }
 
+        if (error.name === 'QuoteStatusTransitionError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                currentStatus: error.from,
+                allowedStatuses: error.allowedStatuses
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Failed to update quote status',
@@ -250,16 +575,20 @@ export const updateQuoteStatus = async (req, res) => {
 
 /**
  * Add quote amount to a quote request
+ * Accepts either a single `amount` or `lineItems`, whose totals are computed here.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const addQuoteAmount = async (req, res) => {
     try {
         const { id } = req.params;
-        const { amount, currency = 'USD' } = req.body;
+        const { amount, lineItems, currency = 'USD', validityDays } = req.body;
+        const priceBreakdown = Array.isArray(lineItems) && lineItems.length > 0
+            ? calculateLineItemQuote(lineItems, currency)
+            : null;
 
         // Validate amount
-        if (!amount || amount <= 0) {
+        if (!priceBreakdown && (!amount || amount <= 0)) {
             return res.status(400).json({
                 success: false,
                 message: 'Valid quote amount is required'
@@ -275,12 +604,32 @@ export const addQuoteAmount = async (req, res) => {
             });
         }
 
+        const taxRule = await TaxRate.findApplicable({ country: quote.country, currency });
+        const tax = calculateTax(priceBreakdown ? priceBreakdown.upfrontTotal : parseFloat(amount), taxRule, {
+            exempt: quote.taxExempt,
+            exemptReason: quote.taxExemptReason
+        });
+
+        // Without an explicit validity, the quoted services' catalog validity applies
+        const catalog = await CatalogVersion.getActive();
+        const issueOptions = {
+            tax,
+            createdBy: req.user?.email,
+            validityDays: validityDays || getQuoteValidityDays(getQuotedServiceNames(quote), catalog.services)
+        };
+
         // Add quote using model method
-        const updatedQuote = await quote.addQuote(amount, currency);
+        let updatedQuote;
+        if (priceBreakdown) {
+            priceBreakdown.tax = tax;
+            updatedQuote = await quote.addQuote(priceBreakdown.upfrontTotal, currency, priceBreakdown, issueOptions);
+        } else {
+            updatedQuote = await quote.addQuote(amount, currency, null, issueOptions);
+        }
 
         // Send quote response email to customer
         try {
-            await sendQuoteResponseEmail(updatedQuote);
+            await sendQuoteResponseEmail(updatedQuote, priceBreakdown);
         } catch (emailError) {
             console.error('Failed to send quote response email:', emailError.message);
             // Don't fail the request if email fails
@@ -302,6 +651,15 @@ export const addQuoteAmount = async (req, res) => {
             });
         }
 
+        if (error.name === 'QuoteStatusTransitionError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                currentStatus: error.from,
+                allowedStatuses: error.allowedStatuses
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Failed to add quote amount',
@@ -311,15 +669,17 @@ export const addQuoteAmount = async (req, res) => {
 };
 
 /**
- * Delete a quote request
+ * Update the tax details of a quote (exemption and country)
+ * The tax on an existing quoted amount is recalculated.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const deleteQuote = async (req, res) => {
+export const updateQuoteTax = async (req, res) => {
     try {
         const { id } = req.params;
+        const { taxExempt, taxExemptReason, country } = req.body;
 
-        const quote = await Quote.findByIdAndDelete(id);
+        const quote = await Quote.findById(id);
 
         if (!quote) {
             return res.status(404).json({
@@ -328,115 +688,690 @@ export const deleteQuote = async (req, res) => {
             });
         }
 
+        if (taxExempt !== undefined) {
+            quote.taxExempt = taxExempt;
+            quote.taxExemptReason = taxExempt ? taxExemptReason : undefined;
+        }
+        if (country !== undefined) {
+            quote.country = country || undefined;
+        }
+
+        let updatedQuote;
+        if (quote.quotedAmount !== undefined && quote.quotedAmount !== null) {
+            const taxRule = await TaxRate.findApplicable({ country: quote.country, currency: quote.quotedCurrency });
+            updatedQuote = await quote.applyTax(calculateTax(quote.quotedAmount, taxRule, {
+                exempt: quote.taxExempt,
+                exemptReason: quote.taxExemptReason
+            }));
+        } else {
+            updatedQuote = await quote.save();
+        }
+
         res.status(200).json({
             success: true,
-            message: 'Quote deleted successfully',
-            data: quote
+            message: 'Quote tax details updated successfully',
+            data: updatedQuote
         });
 
     } catch (error) {
-        console.error('Error deleting quote:', error.message);
+        console.error('Error updating quote tax:', error.message);
 
-        if (error.name === 'CastError') {
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
             return res.status(400).json({
                 success: false,
-                message: 'Invalid quote ID format'
+                message: 'Validation failed',
+                errors: validationErrors
             });
         }
 
         res.status(500).json({
             success: false,
-            message: 'Failed to delete quote',
+            message: 'Failed to update quote tax details',
             error: config.app.isDevelopment ? error.message : 'Internal server error'
         });
     }
 };
 
 /**
- * Get quotes by service type
+ * Extend the validity of an issued or expired quote
+ * An expired quote is reopened at its existing price and re-sent to the customer.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const getQuotesByService = async (req, res) => {
+export const extendQuoteValidity = async (req, res) => {
     try {
-        const { service } = req.params;
-        const { page = 1, limit = 10 } = req.query;
+        const { id } = req.params;
+        const { validUntil, days } = req.body;
 
-        // Validate service
-        const validServices = [
-            'Web Development',
-            'Mobile App Design',
-            'UI/UX Design',
-            'E-commerce Solutions',
-            'Digital Marketing',
-            'Consulting & Automation'
-        ];
-
-        if (!validServices.includes(service)) {
-            return res.status(400).json({
+        const quote = await Quote.findById(id);
+
+        if (!quote) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid service type'
+                message: 'Quote not found'
             });
         }
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        if (![QUOTE_STATUSES.QUOTED, QUOTE_STATUSES.EXPIRED].includes(quote.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Only quoted or expired quotes can be extended (this quote is ${quote.status})`
+            });
+        }
 
-        const quotes = await Quote.findByService(service)
-            .skip(skip)
-            .limit(parseInt(limit));
+        // Extra days count from the current expiry, or from today if it has passed
+        const newValidUntil = validUntil
+            ? new Date(validUntil)
+            : calculateValidUntil(days, new Date(Math.max(Date.now(), quote.validUntil?.getTime() || 0)));
 
-        const totalQuotes = await Quote.countDocuments({ service });
+        const updatedQuote = await quote.extendValidity(newValidUntil, req.user?.email);
+
+        // Re-send the quote so the customer has the new expiry date
+        try {
+            await sendQuoteResponseEmail(updatedQuote, updatedQuote.priceBreakdown);
+        } catch (emailError) {
+            console.error('Failed to send quote response email:', emailError.message);
+            // Don't fail the request if email fails
+        }
 
         res.status(200).json({
             success: true,
-            message: `Quotes for ${service} retrieved successfully`,
-            data: {
-                quotes,
-                service,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalQuotes / parseInt(limit)),
-                    totalQuotes
-                }
-            }
+            message: 'Quote validity extended successfully',
+            data: updatedQuote
         });
 
     } catch (error) {
-        console.error('Error fetching quotes by service:', error.message);
+        console.error('Error extending quote validity:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        if (error.name === 'QuoteStatusTransitionError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                currentStatus: error.from,
+                allowedStatuses: error.allowedStatuses
+            });
+        }
+
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve quotes by service',
+            message: 'Failed to extend quote validity',
             error: config.app.isDevelopment ? error.message : 'Internal server error'
         });
     }
 };
 
 /**
- * Get quote statistics
+ * Re-issue a quote as a new revision with a fresh validity period
+ * By default the current revision is re-issued unchanged (tax is recalculated);
+ * with `reprice` the request is priced again from the current catalog.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const getQuoteStats = async (req, res) => {
+export const reissueQuote = async (req, res) => {
     try {
-        const totalQuotes = await Quote.countDocuments();
-        const pendingQuotes = await Quote.countDocuments({ status: 'pending' });
-        const quotedQuotes = await Quote.countDocuments({ status: 'quoted' });
-        const acceptedQuotes = await Quote.countDocuments({ status: 'accepted' });
-        const completedQuotes = await Quote.countDocuments({ status: 'completed' });
+        const { id } = req.params;
+        const { reprice = false, validityDays } = req.body;
+
+        const quote = await Quote.findById(id);
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        if (![QUOTE_STATUSES.QUOTED, QUOTE_STATUSES.EXPIRED].includes(quote.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Only quoted or expired quotes can be re-issued (this quote is ${quote.status})`
+            });
+        }
+
+        const currentRevision = quote.getRevision(quote.currentRevision);
+        if (!reprice && !currentRevision) {
+            return res.status(409).json({
+                success: false,
+                message: 'This quote has no revision to re-issue; re-issue it with reprice instead'
+            });
+        }
+
+        let updatedQuote;
+        let priceBreakdown;
+        if (reprice) {
+            const automaticQuote = await calculateAutomaticQuote(quote);
+            priceBreakdown = automaticQuote.priceCalculation;
+            updatedQuote = await quote.addQuote(priceBreakdown.upfrontTotal, priceBreakdown.currency, priceBreakdown, {
+                tax: priceBreakdown.tax,
+                createdBy: req.user?.email,
+                validityDays: validityDays || automaticQuote.validityDays
+            });
+        } else {
+            const catalog = await CatalogVersion.getActive();
+            const taxRule = await TaxRate.findApplicable({ country: quote.country, currency: currentRevision.currency });
+            const tax = calculateTax(currentRevision.amount, taxRule, {
+                exempt: quote.taxExempt,
+                exemptReason: quote.taxExemptReason
+            });
+            priceBreakdown = currentRevision.priceBreakdown ? { ...currentRevision.priceBreakdown, tax } : null;
+            updatedQuote = await quote.addQuote(currentRevision.amount, currentRevision.currency, priceBreakdown, {
+                tax,
+                createdBy: req.user?.email,
+                validityDays: validityDays || getQuoteValidityDays(getQuotedServiceNames(quote), catalog.services)
+            });
+        }
+
+        // Send quote response email to customer
+        try {
+            await sendQuoteResponseEmail(updatedQuote, priceBreakdown);
+        } catch (emailError) {
+            console.error('Failed to send quote response email:', emailError.message);
+            // Don't fail the request if email fails
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Quote re-issued as revision ${updatedQuote.currentRevision}`,
+            data: updatedQuote
+        });
+
+    } catch (error) {
+        console.error('Error re-issuing quote:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        if (error.name === 'QuoteStatusTransitionError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                currentStatus: error.from,
+                allowedStatuses: error.allowedStatuses
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to re-issue quote',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Assign a quote to an admin, reassign it, or unassign it (`assignedTo: null`)
+ * The new assignee is notified by email.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const assignQuote = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const assignee = req.body.assignedTo ? req.body.assignedTo.toLowerCase() : null;
+
+        const quote = await Quote.findById(id);
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        const previousAssignee = quote.assignedTo || null;
+        if (assignee === previousAssignee) {
+            return res.status(200).json({
+                success: true,
+                message: assignee ? `Quote is already assigned to ${assignee}` : 'Quote is not assigned',
+                data: quote
+            });
+        }
+
+        const updatedQuote = await quote.assign(assignee, req.user?.email);
+
+        if (assignee) {
+            try {
+                await sendQuoteAssignmentEmail(updatedQuote, previousAssignee);
+            } catch (emailError) {
+                console.error('Failed to send quote assignment email:', emailError.message);
+                // Don't fail the request if email fails
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: assignee ? `Quote assigned to ${assignee}` : 'Quote unassigned',
+            data: updatedQuote
+        });
+
+    } catch (error) {
+        console.error('Error assigning quote:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to assign quote',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get a quote's notes thread, oldest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuoteNotes = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const quote = await Quote.findById(id)
+            .select('noteThread')
+            .lean();
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Quote notes retrieved successfully',
+            data: {
+                quoteId: quote._id,
+                notes: quote.noteThread || []
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching quote notes:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve quote notes',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Add a note to a quote's notes thread
+ * Notes are internal unless `visibility` is 'customer'.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const addQuoteNote = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { body, visibility } = req.body;
+
+        const quote = await Quote.findById(id);
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        const updatedQuote = await quote.addNote(body, { visibility, author: req.user?.email });
+
+        res.status(201).json({
+            success: true,
+            message: 'Note added successfully',
+            data: updatedQuote.noteThread[updatedQuote.noteThread.length - 1]
+        });
+
+    } catch (error) {
+        console.error('Error adding quote note:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add note',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Edit a note's text or visibility; the previous version is kept in the note's edit history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateQuoteNote = async (req, res) => {
+    try {
+        const { id, noteId } = req.params;
+        const { body, visibility } = req.body;
+
+        const quote = await Quote.findById(id);
+
+        if (!quote || !quote.noteThread.id(noteId)) {
+            return res.status(404).json({
+                success: false,
+                message: quote ? 'Note not found' : 'Quote not found'
+            });
+        }
+
+        const updatedQuote = await quote.editNote(noteId, { body, visibility }, req.user?.email);
+
+        res.status(200).json({
+            success: true,
+            message: 'Note updated successfully',
+            data: updatedQuote.noteThread.id(noteId)
+        });
+
+    } catch (error) {
+        console.error('Error updating quote note:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update note',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Move a quote request to the trash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteQuote = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const quote = await Quote.findById(id);
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        await quote.moveToTrash(req.user?.email);
+
+        res.status(200).json({
+            success: true,
+            message: 'Quote moved to trash',
+            data: {
+                id: quote._id,
+                deletedAt: quote.deletedAt,
+                deletedBy: quote.deletedBy,
+                purgeAt: getPurgeDate(quote.deletedAt)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error deleting quote:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete quote',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Merge a suspected duplicate into the request it repeats
+ * The duplicate's notes and description move to the earlier request and the duplicate goes to the trash.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const mergeDuplicateQuote = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const duplicate = await Quote.findById(id);
+
+        if (!duplicate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        if (!duplicate.duplicateOf) {
+            return res.status(409).json({
+                success: false,
+                message: 'Quote is not marked as a duplicate'
+            });
+        }
+
+        const original = await Quote.findById(duplicate.duplicateOf);
+
+        if (!original) {
+            return res.status(404).json({
+                success: false,
+                message: 'The earlier quote this duplicates was not found'
+            });
+        }
+
+        const mergedQuote = await original.mergeDuplicate(duplicate, req.user?.email);
+
+        res.status(200).json({
+            success: true,
+            message: 'Duplicate merged successfully',
+            data: mergedQuote
+        });
+
+    } catch (error) {
+        console.error('Error merging duplicate quote:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to merge duplicate quote',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Take a quote request back out of the trash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const restoreQuote = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const quote = await Quote.findOne({ _id: id, deletedAt: { $ne: null } });
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found in trash'
+            });
+        }
+
+        await quote.restoreFromTrash();
+
+        res.status(200).json({
+            success: true,
+            message: 'Quote restored successfully',
+            data: quote
+        });
+
+    } catch (error) {
+        console.error('Error restoring quote:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to restore quote',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Permanently delete a quote request from the trash
+ * Only trashed quotes can be purged, so a quote always passes through the trash first.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const purgeQuote = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const quote = await Quote.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found in trash'
+            });
+        }
+
+        await removeAttachments(quote.attachments);
+
+        res.status(200).json({
+            success: true,
+            message: 'Quote permanently deleted',
+            data: { id: quote._id }
+        });
+
+    } catch (error) {
+        console.error('Error purging quote:', error.message);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quote ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to permanently delete quote',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get quotes by service type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuotesByService = async (req, res) => {
+    try {
+        const { service } = req.params;
+        const { page = 1, limit = 10 } = req.query;
 
-        // Get quotes by service
-        const serviceStats = await Quote.aggregate([
-            {
-                $group: {
-                    _id: '$service',
-                    count: { $sum: 1 },
-                    avgBudget: { $avg: '$budget' }
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const quotes = await Quote.findByService(service)
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const totalQuotes = await Quote.countDocuments(Quote.serviceFilter(service));
+
+        res.status(200).json({
+            success: true,
+            message: `Quotes for ${service} retrieved successfully`,
+            data: {
+                quotes,
+                service,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(totalQuotes / parseInt(limit)),
+                    totalQuotes
                 }
-            },
-            {
-                $sort: { count: -1 }
             }
-        ]);
+        });
+
+    } catch (error) {
+        console.error('Error fetching quotes by service:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve quotes by service',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get quote statistics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuoteStats = async (req, res) => {
+    try {
+        const totalQuotes = await Quote.countDocuments();
+        const pendingQuotes = await Quote.countDocuments({ status: 'pending' });
+        const quotedQuotes = await Quote.countDocuments({ status: 'quoted' });
+        const acceptedQuotes = await Quote.countDocuments({ status: 'accepted' });
+        const completedQuotes = await Quote.countDocuments({ status: 'completed' });
+        const expiredQuotes = await Quote.countDocuments({ status: 'expired' });
+        const bundleQuotes = await Quote.countDocuments({ isBundle: true });
+
+        // Get quotes by service (each service in a bundle is counted)
+        const serviceStats = await Quote.aggregateByService({
+            avgBudget: { $avg: '$budget' }
+        });
 
         // Get recent quotes
         const recentQuotes = await Quote.findRecent(5);
@@ -450,7 +1385,9 @@ export const getQuoteStats = async (req, res) => {
                     pendingQuotes,
                     quotedQuotes,
                     acceptedQuotes,
-                    completedQuotes
+                    completedQuotes,
+                    expiredQuotes,
+                    bundleQuotes
                 },
                 serviceStats,
                 recentQuotes
@@ -468,87 +1405,179 @@ export const getQuoteStats = async (req, res) => {
 };
 
 /**
- * Determine project complexity based on quote data
- * @param {Object} quoteData - Quote request data
- * @returns {string} Complexity level (basic, intermediate, advanced)
+ * Calculate the automatic quote for a saved quote request
+ * Prices the request from the active catalog and exchange rates, then adds the
+ * budget-fit analysis and tax.
+ * @param {Object} quote - Saved quote document
+ * @param {Object} quoteData - Quote request data (defaults to the stored request)
+ * @returns {Promise<Object>} Price calculation and the number of days the quote is valid
  */
-const determineComplexity = (quoteData) => {
-    let complexityScore = 0;
-
-    // Budget-based complexity
-    const budget = parseFloat(quoteData.budget);
-    const currency = quoteData.currency || 'KES';
-    const service = getServiceByName(quoteData.service);
+const calculateAutomaticQuote = async (quote, quoteData = quote.toObject()) => {
+    const isReturningCustomer = await Quote.exists({
+        ...getCustomerFilter(quote),
+        _id: { $ne: quote._id }
+    });
+    const catalog = await CatalogVersion.getActive();
+    const exchangeRates = await ExchangeRate.getRateTable();
+    const pricingOptions = {
+        timeline: quote.timeline,
+        customerType: quote.customerType,
+        isReturningCustomer: Boolean(isReturningCustomer),
+        catalog,
+        exchangeRates
+    };
+    const priceCalculation = priceQuoteRequest(quoteData, pricingOptions);
+    priceCalculation.budgetFit = analyzeBudgetFit(quote.budget, priceCalculation, pricingOptions);
+
+    const taxRule = await TaxRate.findApplicable({
+        country: quote.country,
+        currency: priceCalculation.currency
+    });
+    priceCalculation.tax = calculateTax(priceCalculation.upfrontTotal, taxRule, {
+        exempt: quote.taxExempt,
+        exemptReason: quote.taxExemptReason
+    });
+
+    return {
+        priceCalculation,
+        validityDays: getQuoteValidityDays(getQuotedServiceNames(quote), catalog.services)
+    };
+};
 
-    if (service) {
-        const basePrice = service.basePrice[currency];
-        const budgetRatio = budget / basePrice;
+/**
+ * Build the filter for a quote's customer history
+ * Quotes not linked to a customer fall back to matching the email.
+ * @param {Object} quote - Quote document
+ * @returns {Object} Quote filter
+ */
+const getCustomerFilter = (quote) => {
+    return quote.customer ? { customer: quote.customer } : { email: quote.email };
+};
 
-        if (budgetRatio >= 3) complexityScore += 2;
-        else if (budgetRatio >= 1.5) complexityScore += 1;
+/**
+ * Set the priority of a new quote request from the admin's triage rules
+ * The budget is compared with the combined base price of the requested services.
+ * If triage fails the quote keeps the default priority.
+ * @param {Object} quote - Unsaved quote document
+ */
+const triageQuote = async (quote) => {
+    try {
+        const { rules } = await PriorityRules.getRules();
+        const catalog = await CatalogVersion.getActive();
+        const exchangeRates = await ExchangeRate.getRateTable();
+        const previousQuotes = await Quote.countDocuments(getCustomerFilter(quote));
+
+        // Bundle fields are only derived on validation, so read the services directly
+        const serviceNames = quote.services?.length > 0 ? quote.services.map(item => item.service) : [quote.service];
+        const basePrice = serviceNames.reduce((sum, name) => {
+            const service = getServiceByName(name, catalog.services);
+            return sum + (service ? resolvePrice(service.basePrice, quote.currency || 'KES', exchangeRates) || 0 : 0);
+        }, 0);
+
+        const { level, score, factors } = assessPriority(quote.toObject(), rules, { basePrice, previousQuotes });
+        quote.priority = level;
+        quote.priorityAssessment = { score, factors };
+    } catch (error) {
+        console.error('Failed to triage quote priority:', error.message);
     }
+};
 
-    // Timeline-based complexity
-    if (quoteData.timeline === '6+ months') complexityScore += 2;
-    else if (quoteData.timeline === '3-6 months') complexityScore += 1;
-    else if (quoteData.timeline === '1-2 weeks') complexityScore -= 1;
-
-    // Service-specific complexity indicators
-    if (quoteData.service === 'Web Development' || quoteData.service === 'Mobile App Design') {
-        if (quoteData.features && quoteData.features.length >= 4) complexityScore += 2;
-        else if (quoteData.features && quoteData.features.length >= 2) complexityScore += 1;
+/**
+ * Get the names of the services a quote covers
+ * @param {Object} quote - Quote document
+ * @returns {Array} Service names
+ */
+const getQuotedServiceNames = (quote) => {
+    return quote.isBundle ? quote.services.map(item => item.service) : [quote.service];
+};
 
-        if (quoteData.features && quoteData.features.includes('Authentication')) complexityScore += 1;
-        if (quoteData.features && quoteData.features.includes('API')) complexityScore += 1;
-    }
+/**
+ * Price a quote request, pricing each service of a bundle separately
+ * Bundled services share the request's budget in proportion to their base prices.
+ * @param {Object} quoteData - Quote request data
+ * @param {Object} pricingOptions - Pricing rule inputs (timeline, customerType, isReturningCustomer, catalog, exchangeRates)
+ * @returns {Object} Price calculation details
+ */
+const priceQuoteRequest = (quoteData, pricingOptions) => {
+    const currency = quoteData.currency || 'KES';
 
-    if (quoteData.service === 'UI/UX Design') {
-        if (quoteData.designType && quoteData.designType.length >= 3) complexityScore += 2;
-        else if (quoteData.designType && quoteData.designType.length >= 2) complexityScore += 1;
+    if (!Array.isArray(quoteData.services) || quoteData.services.length === 0) {
+        const complexityAssessment = determineComplexity(quoteData, pricingOptions.catalog, pricingOptions.exchangeRates);
 
-        if (quoteData.platforms && quoteData.platforms.length >= 3) complexityScore += 1;
+        return {
+            ...calculateEstimatedPrice(
+                quoteData.service,
+                complexityAssessment.level,
+                currency,
+                determineAddons(quoteData, pricingOptions.catalog),
+                pricingOptions
+            ),
+            complexityAssessment
+        };
     }
 
-    if (quoteData.service === 'Digital Marketing') {
-        if (quoteData.marketingChannels && quoteData.marketingChannels.length >= 4) complexityScore += 2;
-        else if (quoteData.marketingChannels && quoteData.marketingChannels.length >= 2) complexityScore += 1;
-
-        if (quoteData.campaignDuration === '12 Months' || quoteData.campaignDuration === 'Ongoing') {
-            complexityScore += 1;
-        }
-    }
+    const basePrices = quoteData.services.map(item =>
+        resolvePrice(
+            getServiceByName(item.service, pricingOptions.catalog.services)?.basePrice,
+            currency,
+            pricingOptions.exchangeRates
+        ) || 0
+    );
+    const totalBasePrice = basePrices.reduce((sum, price) => sum + price, 0);
+
+    const items = quoteData.services.map((item, index) => {
+        const itemData = {
+            ...quoteData,
+            ...item,
+            budget: totalBasePrice > 0
+                ? parseFloat(quoteData.budget) * basePrices[index] / totalBasePrice
+                : parseFloat(quoteData.budget) / quoteData.services.length
+        };
+
+        return {
+            service: item.service,
+            complexityAssessment: determineComplexity(itemData, pricingOptions.catalog, pricingOptions.exchangeRates),
+            addons: determineAddons(itemData, pricingOptions.catalog)
+        };
+    });
+
+    const bundle = calculateBundlePrice(
+        items.map(item => ({ ...item, complexity: item.complexityAssessment.level })),
+        currency,
+        pricingOptions
+    );
+
+    bundle.services = bundle.services.map((breakdown, index) => ({
+        ...breakdown,
+        complexityAssessment: items[index].complexityAssessment
+    }));
+
+    return bundle;
+};
 
-    // Description length as complexity indicator
-    if (quoteData.description && quoteData.description.length > 500) complexityScore += 1;
+/**
+ * Determine project complexity based on quote data
+ * @param {Object} quoteData - Quote request data
+ * @param {Object} catalog - Catalog version the quote is priced from
+ * @param {Object} exchangeRates - Rate table used for currencies without catalog prices
+ * @returns {Object} Complexity assessment ({ level, score, factors: [{ code, description, points }] })
+ */
+const determineComplexity = (quoteData, catalog, exchangeRates) => {
+    const service = getServiceByName(quoteData.service, catalog.services);
+    const basePrice = service
+        ? resolvePrice(service.basePrice, quoteData.currency || 'KES', exchangeRates)
+        : undefined;
 
-    // Determine final complexity
-    if (complexityScore >= 4) return 'advanced';
-    if (complexityScore >= 2) return 'intermediate';
-    return 'basic';
+    return assessComplexity(quoteData, getScoringRules(service), { basePrice });
 };
 
 /**
  * Determine required addons based on quote data
  * @param {Object} quoteData - Quote request data
- * @returns {Array} Array of addon names
+ * @param {Object} catalog - Catalog version the quote is priced from
+ * @returns {Array} Array of { addon, tier } selections
  */
-const determineAddons = (quoteData) => {
-    const addons = [];
-
-    // Web Development and Mobile App specific addons
-    if (quoteData.service === 'Web Development' || quoteData.service === 'Mobile App Design') {
-        if (quoteData.hosting === 'Yes') {
-            addons.push('hosting');
-        }
-
-        if (quoteData.domain === 'Yes') {
-            addons.push('domain');
-        }
-
-        if (quoteData.maintenance && quoteData.maintenance !== 'None') {
-            addons.push('maintenance');
-        }
-    }
-
-    return addons;
+const determineAddons = (quoteData, catalog) => {
+    const service = getServiceByName(quoteData.service, catalog.services);
+    return selectAddons(quoteData, getScoringRules(service));
 };
\ No newline at end of file
@@ -0,0 +1,106 @@
+import Quote from '../models/quote.js';
+import config from '../config/env.js';
+import { generateQuotePdf, getQuotePdfFilename } from '../utils/quotePdf.js';
+import { verifyQuoteDocumentToken } from '../utils/quoteLinks.js';
+
+/**
+ * Generate a revision's quotation PDF and send it as a download
+ * @param {Object} res - Express response object
+ * @param {Object} quote - Quote document
+ * @param {Object} revision - Revision to render
+ */
+const sendQuotePdf = async (res, quote, revision) => {
+    const pdf = await generateQuotePdf(quote, revision);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Length', pdf.length);
+    res.setHeader('Content-Disposition', `attachment; filename="${getQuotePdfFilename(quote, revision)}"`);
+    res.end(pdf);
+};
+
+/**
+ * Download the quotation PDF of a quote (?revision=N, defaults to the current revision)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuotePdf = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const quote = await Quote.findById(id);
+
+        if (!quote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        if (!quote.currentRevision) {
+            return res.status(409).json({
+                success: false,
+                message: 'This quote has not been issued yet'
+            });
+        }
+
+        const number = req.query.revision ? parseInt(req.query.revision) : quote.currentRevision;
+        const revision = quote.getRevision(number);
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: `Revision ${number} not found`
+            });
+        }
+
+        await sendQuotePdf(res, quote, revision);
+
+    } catch (error) {
+        console.error('Error generating quote PDF:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate quote PDF',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Download a quotation PDF from the signed link in the customer's quote email
+ * The link always serves the revision it was sent with.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadQuoteDocument = async (req, res) => {
+    try {
+        let payload;
+        try {
+            payload = verifyQuoteDocumentToken(req.params.token);
+        } catch (error) {
+            return res.status(error.name === 'TokenExpiredError' ? 410 : 400).json({
+                success: false,
+                message: error.name === 'TokenExpiredError' ? 'This download link has expired' : 'This download link is not valid'
+            });
+        }
+
+        const quote = await Quote.findById(payload.sub);
+        const revision = quote?.getRevision(payload.revision);
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found'
+            });
+        }
+
+        await sendQuotePdf(res, quote, revision);
+
+    } catch (error) {
+        console.error('Error generating quote PDF:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate quote PDF',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,260 @@
+import { validationResult } from 'express-validator';
+import Quote from '../models/quote.js';
+import config from '../config/env.js';
+import { QUOTE_STATUSES } from '../constants/services.js';
+import { verifyQuoteResponseToken, QUOTE_RESPONSE_ACTIONS } from '../utils/quoteLinks.js';
+import { sendStatusUpdateEmail, sendCustomerResponseNotificationEmail } from '../utils/nodemailer.js';
+
+// Status each link action moves the quote to
+const ACTION_STATUSES = {
+    accept: QUOTE_STATUSES.ACCEPTED,
+    decline: QUOTE_STATUSES.REJECTED
+};
+
+/**
+ * Escape text for inclusion in an HTML page
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+/**
+ * Render the page shown to a customer who followed an accept or decline link
+ * @param {Object} page - Page content
+ * @param {string} page.title - Heading
+ * @param {string} page.message - Message below the heading (plain text)
+ * @param {string} page.form - Optional form HTML
+ * @returns {string} HTML page
+ */
+const renderResponsePage = ({ title, message, form = '' }) => {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(title)}</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background: #f9f9f9; }
+            .container { max-width: 600px; margin: 40px auto; padding: 20px; background: white; border-radius: 5px; }
+            textarea { width: 100%; min-height: 100px; margin: 10px 0; }
+            button { padding: 10px 20px; border: none; border-radius: 5px; color: white; background: #28a745; cursor: pointer; }
+            button.decline { background: #6c757d; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <h1>${escapeHtml(title)}</h1>
+            <p>${escapeHtml(message)}</p>
+            ${form}
+        </div>
+        <div class="footer">
+            <p>OmyTech - Professional Web Development & Digital Solutions</p>
+        </div>
+    </body>
+    </html>
+    `;
+};
+
+/**
+ * Send a result as an HTML page (link and form requests) or JSON (API requests)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {Object} result - { success, title, message, data, error }
+ */
+const sendResult = (req, res, status, { success, title, message, data, error }) => {
+    if (req.method === 'GET' || req.is('application/x-www-form-urlencoded')) {
+        return res.status(status).type('html').send(renderResponsePage({ title, message }));
+    }
+
+    res.status(status).json({
+        success,
+        message,
+        ...(data ? { data } : {}),
+        ...(error ? { error } : {})
+    });
+};
+
+/**
+ * Verify a response link and load its quote without using it up
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} { quote, action } or { error: { status, title, message } }
+ */
+const resolveResponseLink = async (token) => {
+    let payload;
+    try {
+        payload = verifyQuoteResponseToken(token);
+    } catch (error) {
+        return {
+            error: error.name === 'TokenExpiredError'
+                ? { status: 410, title: 'Link expired', message: 'This quote link has expired. Please contact us for an updated quote.' }
+                : { status: 400, title: 'Invalid link', message: 'This quote link is not valid.' }
+        };
+    }
+
+    if (!QUOTE_RESPONSE_ACTIONS.includes(payload.action)) {
+        return { error: { status: 400, title: 'Invalid link', message: 'This quote link is not valid.' } };
+    }
+
+    const quote = await Quote.findById(payload.sub);
+
+    if (!quote) {
+        return { error: { status: 404, title: 'Quote not found', message: 'We could not find this quote.' } };
+    }
+
+    if (quote.responseTokenId !== payload.jti) {
+        return {
+            error: {
+                status: 410,
+                title: 'Link no longer valid',
+                message: 'This link has already been used or was replaced by a newer quote.'
+            }
+        };
+    }
+
+    if (quote.status !== QUOTE_STATUSES.QUOTED) {
+        return {
+            error: {
+                status: 409,
+                title: 'Quote closed',
+                message: `This quote is ${quote.status} and can no longer be answered online. Please contact us at ${config.email.from}.`
+            }
+        };
+    }
+
+    return { quote, action: payload.action, tokenId: payload.jti };
+};
+
+/**
+ * Show the confirmation page for an accept or decline link
+ * Nothing changes until the customer confirms, so link scanners cannot respond on their behalf.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuoteResponsePage = async (req, res) => {
+    try {
+        const { quote, action, error } = await resolveResponseLink(req.params.token);
+
+        if (error) {
+            return sendResult(req, res, error.status, { success: false, title: error.title, message: error.message });
+        }
+
+        const amount = `${quote.quotedCurrency} ${quote.quotedAmount.toLocaleString()}`;
+        const form = action === 'accept'
+            ? `
+            <form method="POST">
+                <button type="submit">Accept Quote</button>
+            </form>`
+            : `
+            <form method="POST">
+                <label for="reason">Let us know why (optional):</label>
+                <textarea id="reason" name="reason" maxlength="500"></textarea>
+                <button type="submit" class="decline">Decline Quote</button>
+            </form>`;
+
+        res.status(200).type('html').send(renderResponsePage({
+            title: action === 'accept' ? 'Accept your quote' : 'Decline your quote',
+            message: `Dear ${quote.name}, please confirm that you want to ${action} quote revision ${quote.currentRevision} of ${amount}.`,
+            form
+        }));
+
+    } catch (error) {
+        console.error('Error loading quote response page:', error.message);
+
+        sendResult(req, res, 500, {
+            success: false,
+            title: 'Something went wrong',
+            message: 'We could not load this quote. Please try again later.'
+        });
+    }
+};
+
+/**
+ * Record the customer's accept or decline response
+ * The link is used up, the customer gets the status-update email and the admin is notified.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const submitQuoteResponse = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+
+        if (!errors.isEmpty()) {
+            return sendResult(req, res, 400, {
+                success: false,
+                title: 'Response not recorded',
+                message: errors.array()[0].msg
+            });
+        }
+
+        const { quote, action, tokenId, error } = await resolveResponseLink(req.params.token);
+
+        if (error) {
+            return sendResult(req, res, error.status, { success: false, title: error.title, message: error.message });
+        }
+
+        // Claim the link atomically so a double submit cannot respond twice
+        const claimedQuote = await Quote.claimResponseToken(quote._id, tokenId);
+
+        if (!claimedQuote) {
+            return sendResult(req, res, 410, {
+                success: false,
+                title: 'Link no longer valid',
+                message: 'This link has already been used or was replaced by a newer quote.'
+            });
+        }
+
+        const oldStatus = claimedQuote.status;
+        const reason = action === 'decline' ? req.body.reason : undefined;
+
+        let updatedQuote;
+        try {
+            updatedQuote = await claimedQuote.recordCustomerResponse(ACTION_STATUSES[action], reason);
+        } catch (recordError) {
+            // Give the link back so the customer can try again
+            await Quote.releaseResponseToken(quote._id, tokenId).catch(releaseError => {
+                console.error('Failed to release quote response link:', releaseError.message);
+            });
+            throw recordError;
+        }
+
+        try {
+            await sendStatusUpdateEmail(updatedQuote, oldStatus);
+            await sendCustomerResponseNotificationEmail(updatedQuote);
+        } catch (emailError) {
+            console.error('Failed to send quote response notifications:', emailError.message);
+            // Don't fail the request if email fails
+        }
+
+        sendResult(req, res, 200, {
+            success: true,
+            title: action === 'accept' ? 'Quote accepted' : 'Quote declined',
+            message: action === 'accept'
+                ? 'Thank you for accepting our quote. We will be in touch shortly to get started.'
+                : 'Thank you for letting us know. We hope to work with you in the future.',
+            data: {
+                quoteId: updatedQuote._id,
+                status: updatedQuote.status,
+                customerResponse: updatedQuote.customerResponse
+            }
+        });
+
+    } catch (error) {
+        console.error('Error recording quote response:', error.message);
+
+        sendResult(req, res, 500, {
+            success: false,
+            title: 'Something went wrong',
+            message: 'We could not record your response. Please try again later.',
+            error: config.app.isDevelopment ? error.message : 'Internal server error'
+        });
+    }
+};
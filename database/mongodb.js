@@ -181,9 +181,19 @@ export const createIndexes = async () => {
 
         // Import models to ensure indexes are created
         const { default: Quote } = await import('../models/quote.js');
+        const { default: CatalogVersion } = await import('../models/catalogVersion.js');
+        const { default: ExchangeRate } = await import('../models/exchangeRate.js');
+        const { default: TaxRate } = await import('../models/taxRate.js');
+        const { default: PriorityRules } = await import('../models/priorityRules.js');
+        const { default: Customer } = await import('../models/customer.js');
 
         // Ensure indexes are created
         await Quote.createIndexes();
+        await CatalogVersion.createIndexes();
+        await ExchangeRate.createIndexes();
+        await TaxRate.createIndexes();
+        await PriorityRules.createIndexes();
+        await Customer.createIndexes();
 
         console.log('Database indexes created successfully');
     } catch (error) {
@@ -44,6 +44,48 @@ export const createQuoteLimiter = rateLimit({
     }
 });
 
+/**
+ * Rate limiter for follow-up attachment uploads, separate from quote submissions
+ */
+export const attachmentUploadLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: config.app.isProduction ? 20 : 200, // Limit each IP to 20 uploads per hour in production
+    message: {
+        success: false,
+        message: 'Too many uploads from this IP, please try again in an hour.',
+        retryAfter: '1 hour'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => {
+        if (!config.app.isProduction && req.ip === '127.0.0.1') {
+            return true;
+        }
+        return false;
+    }
+});
+
+/**
+ * Rate limiter for accept/decline confirmations, separate from quote submissions
+ */
+export const quoteResponseLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: config.app.isProduction ? 20 : 200, // Limit each IP to 20 responses per hour in production
+    message: {
+        success: false,
+        message: 'Too many quote responses from this IP, please try again in an hour.',
+        retryAfter: '1 hour'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => {
+        if (!config.app.isProduction && req.ip === '127.0.0.1') {
+            return true;
+        }
+        return false;
+    }
+});
+
 /**
  * Rate limiter for admin operations
  */
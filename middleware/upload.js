@@ -0,0 +1,84 @@
+import path from 'path';
+import multer from 'multer';
+import config from '../config/env.js';
+import { ATTACHMENT_TYPES } from '../constants/services.js';
+import { sanitizeInput } from './security.js';
+import { verifyAttachmentUploadToken } from '../utils/quoteLinks.js';
+
+// Messages for the upload limits clients can run into
+const LIMIT_MESSAGES = {
+    LIMIT_FILE_SIZE: `Files cannot exceed ${config.attachments.maxFileSizeMb} MB`,
+    LIMIT_FILE_COUNT: `No more than ${config.attachments.maxFilesPerUpload} files can be uploaded at once`,
+    LIMIT_UNEXPECTED_FILE: 'Files must be sent in the "attachments" field'
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.attachments.maxFileSizeMb * 1024 * 1024,
+        files: config.attachments.maxFilesPerUpload
+    },
+    fileFilter: (req, file, cb) => {
+        const extensions = ATTACHMENT_TYPES[file.mimetype];
+        if (!extensions || !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+            const error = new Error(`${file.originalname} is not an allowed file type (${Object.values(ATTACHMENT_TYPES).flat().join(', ')})`);
+            error.name = 'AttachmentTypeError';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+}).array('attachments');
+
+/**
+ * Check a follow-up upload link before any file is read into memory
+ * The verified payload is kept in `req.uploadLink` ({ sub: quote ID }).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const verifyUploadLink = (req, res, next) => {
+    try {
+        req.uploadLink = verifyAttachmentUploadToken(req.params.token);
+        next();
+    } catch (error) {
+        res.status(error.name === 'TokenExpiredError' ? 410 : 400).json({
+            success: false,
+            message: error.name === 'TokenExpiredError' ? 'This upload link has expired' : 'This upload link is not valid'
+        });
+    }
+};
+
+/**
+ * Parse multipart uploads into `req.files` (JSON requests pass straight through)
+ * Form fields are sanitised like any other body. The quote can be sent as form fields or
+ * as JSON in a `quote` field, which is needed for nested fields such as bundled services.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const uploadAttachments = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError || error?.name === 'AttachmentTypeError') {
+            return res.status(400).json({
+                success: false,
+                message: LIMIT_MESSAGES[error.code] || error.message
+            });
+        }
+        if (error) {
+            return next(error);
+        }
+
+        if (req.is('multipart/form-data') && typeof req.body.quote === 'string') {
+            try {
+                req.body = JSON.parse(req.body.quote);
+            } catch {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The quote field must be valid JSON'
+                });
+            }
+        }
+
+        sanitizeInput(req, res, next);
+    });
+};
@@ -1,4 +1,29 @@
 import { body, param, query, validationResult } from 'express-validator';
+import CatalogVersion from '../models/catalogVersion.js';
+import config from '../config/env.js';
+import {
+    getServiceByName,
+    SERVICE_CATEGORIES,
+    CURRENCIES,
+    BASE_CURRENCY,
+    BUDGET_FIT_VERDICTS,
+    QUOTE_STATUSES,
+    NOTE_VISIBILITIES,
+    PRIORITY_LEVELS
+} from '../constants/services.js';
+
+/**
+ * Check that a service exists in the active catalog
+ * @param {string} name - Service name
+ * @returns {Promise<boolean>}
+ */
+const isCatalogService = async (name) => {
+    const catalog = await CatalogVersion.getActive();
+    if (!getServiceByName(name, catalog.services)) {
+        throw new Error('Please select a valid service');
+    }
+    return true;
+};
 
 /**
  * Handle validation errors
@@ -21,6 +46,100 @@ export const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+/**
+ * Validation rules for service-specific fields
+ * @param {string} prefix - Field path prefix, e.g. 'services.*.' for bundled services
+ * @returns {Array} express-validator chains
+ */
+const serviceSpecificValidators = (prefix = '') => [
+    body(`${prefix}features`)
+        .optional()
+        .isArray()
+        .withMessage('Features must be an array'),
+
+    body(`${prefix}features.*`)
+        .optional()
+        .isIn(['Frontend', 'Backend', 'Database', 'API', 'Authentication'])
+        .withMessage('Invalid feature selected'),
+
+    body(`${prefix}hosting`)
+        .optional()
+        .isIn(['Yes', 'No', 'Advice'])
+        .withMessage('Invalid hosting option'),
+
+    body(`${prefix}domain`)
+        .optional()
+        .isIn(['Yes', 'No', 'Advice'])
+        .withMessage('Invalid domain option'),
+
+    body(`${prefix}maintenance`)
+        .optional()
+        .isIn(['None', 'Monthly', 'Quarterly', 'Yearly', 'Custom'])
+        .withMessage('Invalid maintenance option'),
+
+    body(`${prefix}hostingPlan`)
+        .optional()
+        .isIn(['Basic', 'Premium', 'Enterprise'])
+        .withMessage('Invalid hosting plan'),
+
+    body(`${prefix}domainExtension`)
+        .optional()
+        .isIn(['.com', '.co.ke', '.org'])
+        .withMessage('Invalid domain extension'),
+
+    body(`${prefix}ssl`)
+        .optional()
+        .isIn(['None', 'Basic', 'Premium'])
+        .withMessage('Invalid SSL option'),
+
+    body(`${prefix}designType`)
+        .optional()
+        .isArray()
+        .withMessage('Design type must be an array'),
+
+    body(`${prefix}designType.*`)
+        .optional()
+        .isIn(['Website', 'Mobile App', 'Dashboard', 'Branding'])
+        .withMessage('Invalid design type selected'),
+
+    body(`${prefix}platforms`)
+        .optional()
+        .isArray()
+        .withMessage('Platforms must be an array'),
+
+    body(`${prefix}platforms.*`)
+        .optional()
+        .isIn(['Desktop', 'Tablet', 'Mobile'])
+        .withMessage('Invalid platform selected'),
+
+    body(`${prefix}pages`)
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Pages description cannot exceed 50 characters'),
+
+    body(`${prefix}marketingChannels`)
+        .optional()
+        .isArray()
+        .withMessage('Marketing channels must be an array'),
+
+    body(`${prefix}marketingChannels.*`)
+        .optional()
+        .isIn(['Social Media', 'SEO', 'Content Marketing', 'Email Marketing', 'PPC'])
+        .withMessage('Invalid marketing channel selected'),
+
+    body(`${prefix}campaignDuration`)
+        .optional()
+        .isIn(['1 Month', '3 Months', '6 Months', '12 Months', 'Ongoing'])
+        .withMessage('Invalid campaign duration'),
+
+    body(`${prefix}targetAudience`)
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Target audience description cannot exceed 1000 characters')
+];
+
 /**
  * Validation rules for creating a quote
  */
@@ -54,22 +173,16 @@ export const validateCreateQuote = [
         .withMessage('Company name cannot exceed 100 characters'),
 
     body('service')
+        .if(body('services').not().exists())
         .notEmpty()
         .withMessage('Service selection is required')
-        .isIn([
-            'Web Development',
-            'Mobile App Design',
-            'UI/UX Design',
-            'E-commerce Solutions',
-            'Digital Marketing',
-            'Consulting & Automation'
-        ])
-        .withMessage('Please select a valid service'),
+        .bail()
+        .custom(isCatalogService),
 
     body('timeline')
         .notEmpty()
         .withMessage('Timeline is required')
-        .isIn(['1-2 weeks', '3-4 weeks', '1-2 months', '3-6 months', '6+ months', 'Flexible'])
+        .isIn(['Under 1 week', '1-2 weeks', '3-4 weeks', '1-2 months', '3-6 months', '6+ months', 'Flexible'])
         .withMessage('Please select a valid timeline'),
 
     body('budget')
@@ -82,8 +195,8 @@ export const validateCreateQuote = [
 
     body('currency')
         .optional()
-        .isIn(['USD', 'KES'])
-        .withMessage('Currency must be USD or KES'),
+        .isIn(Object.keys(CURRENCIES))
+        .withMessage(`Currency must be one of ${Object.keys(CURRENCIES).join(', ')}`),
 
     body('description')
         .trim()
@@ -92,125 +205,370 @@ export const validateCreateQuote = [
         .isLength({ min: 10, max: 2000 })
         .withMessage('Description must be between 10 and 2000 characters'),
 
-    // Service-specific validations
-    body('features')
+    body('customerType')
         .optional()
-        .isArray()
-        .withMessage('Features must be an array'),
+        .isIn(['Individual', 'Business', 'Student', 'Non-profit'])
+        .withMessage('Invalid customer type'),
 
-    body('features.*')
+    body('country')
         .optional()
-        .isIn(['Frontend', 'Backend', 'Database', 'API', 'Authentication'])
-        .withMessage('Invalid feature selected'),
+        .trim()
+        .toUpperCase()
+        .matches(/^[A-Z]{2}$/)
+        .withMessage('Country must be a two-letter ISO country code'),
 
-    body('hosting')
+    // Service-specific validations
+    ...serviceSpecificValidators(),
+
+    // Bundle requests: several services, each with its own service-specific fields
+    body('services')
         .optional()
-        .isIn(['Yes', 'No', 'Advice'])
-        .withMessage('Invalid hosting option'),
+        .isArray({ min: 2, max: 6 })
+        .withMessage('Services must be an array of 2 to 6 services'),
+
+    body('services.*.service')
+        .notEmpty()
+        .withMessage('Service selection is required')
+        .bail()
+        .custom(isCatalogService),
 
-    body('domain')
+    ...serviceSpecificValidators('services.*.'),
+
+    handleValidationErrors
+];
+
+// Admin override of the status workflow; a reason is always required
+const statusOverrideValidators = [
+    body('override')
         .optional()
-        .isIn(['Yes', 'No', 'Advice'])
-        .withMessage('Invalid domain option'),
+        .isBoolean()
+        .withMessage('Override must be true or false')
+        .toBoolean(),
+
+    body('overrideReason')
+        .if(body('override').equals('true'))
+        .trim()
+        .notEmpty()
+        .withMessage('A reason is required to override the status workflow')
+        .isLength({ max: 500 })
+        .withMessage('Override reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for updating quote status
+ */
+export const validateUpdateStatus = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid quote ID'),
 
-    body('maintenance')
+    body('status')
+        .notEmpty()
+        .withMessage('Status is required')
+        .isIn(Object.values(QUOTE_STATUSES))
+        .withMessage('Invalid status value'),
+
+    body('notes')
         .optional()
-        .isIn(['None', 'Monthly', 'Quarterly', 'Yearly', 'Custom'])
-        .withMessage('Invalid maintenance option'),
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters'),
 
-    body('designType')
+    body('noteVisibility')
         .optional()
-        .isArray()
-        .withMessage('Design type must be an array'),
+        .isIn(Object.values(NOTE_VISIBILITIES))
+        .withMessage('Note visibility must be internal or customer'),
 
-    body('designType.*')
+    ...statusOverrideValidators,
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for adding quote amount
+ */
+export const validateAddQuote = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid quote ID'),
+
+    body('amount')
+        .if(body('lineItems').not().exists())
+        .notEmpty()
+        .withMessage('Quote amount or line items are required')
+        .isNumeric()
+        .withMessage('Amount must be a number')
+        .isFloat({ min: 0.01 })
+        .withMessage('Amount must be greater than 0'),
+
+    body('lineItems')
         .optional()
-        .isIn(['Website', 'Mobile App', 'Dashboard', 'Branding'])
-        .withMessage('Invalid design type selected'),
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Line items must be an array of 1 to 50 lines'),
+
+    body('lineItems.*.description')
+        .trim()
+        .notEmpty()
+        .withMessage('Each line item needs a description')
+        .isLength({ max: 200 })
+        .withMessage('Line item description cannot exceed 200 characters'),
 
-    body('platforms')
+    body('lineItems.*.quantity')
         .optional()
-        .isArray()
-        .withMessage('Platforms must be an array'),
+        .isFloat({ gt: 0 })
+        .withMessage('Line item quantity must be greater than 0'),
+
+    body('lineItems.*.unitPrice')
+        .notEmpty()
+        .withMessage('Each line item needs a unit price')
+        .isFloat({ min: 0 })
+        .withMessage('Line item unit price must be a positive number'),
 
-    body('platforms.*')
+    body('lineItems.*.discountPercent')
         .optional()
-        .isIn(['Desktop', 'Tablet', 'Mobile'])
-        .withMessage('Invalid platform selected'),
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Line item discount must be between 0 and 100 percent'),
 
-    body('pages')
+    body('lineItems.*.period')
+        .optional({ values: 'null' })
+        .isIn(['monthly', 'quarterly', 'yearly'])
+        .withMessage('Line item period must be monthly, quarterly or yearly'),
+
+    body('currency')
         .optional()
-        .trim()
-        .isLength({ max: 50 })
-        .withMessage('Pages description cannot exceed 50 characters'),
+        .isIn(Object.keys(CURRENCIES))
+        .withMessage(`Currency must be one of ${Object.keys(CURRENCIES).join(', ')}`),
 
-    body('marketingChannels')
+    body('validityDays')
         .optional()
-        .isArray()
-        .withMessage('Marketing channels must be an array'),
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Quote validity must be between 1 and 365 days')
+        .toInt(),
+
+    handleValidationErrors
+];
 
-    body('marketingChannels.*')
+/**
+ * Validation rules for extending a quote's validity
+ */
+export const validateExtendValidity = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid quote ID'),
+
+    body('validUntil')
+        .if(body('days').not().exists())
+        .notEmpty()
+        .withMessage('Either validUntil or days is required')
+        .isISO8601()
+        .withMessage('Valid until must be a valid ISO 8601 date')
+        .custom(validUntil => {
+            if (new Date(validUntil) <= new Date()) {
+                throw new Error('Valid until must be in the future');
+            }
+            return true;
+        }),
+
+    body('days')
         .optional()
-        .isIn(['Social Media', 'SEO', 'Content Marketing', 'Email Marketing', 'PPC'])
-        .withMessage('Invalid marketing channel selected'),
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Days must be between 1 and 365')
+        .toInt(),
 
-    body('campaignDuration')
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for re-issuing a quote
+ */
+export const validateReissueQuote = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid quote ID'),
+
+    body('reprice')
         .optional()
-        .isIn(['1 Month', '3 Months', '6 Months', '12 Months', 'Ongoing'])
-        .withMessage('Invalid campaign duration'),
+        .isBoolean()
+        .withMessage('Reprice must be true or false')
+        .toBoolean(),
 
-    body('targetAudience')
+    body('validityDays')
         .optional()
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Quote validity must be between 1 and 365 days')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for a customer's accept/decline response
+ * Errors are sent by submitQuoteResponse, so form posts get a page instead of JSON.
+ */
+export const validateQuoteResponse = [
+    body('reason')
+        .optional()
+        .custom(reason => typeof reason === 'string')
+        .withMessage('Reason must be text')
+        .bail()
         .trim()
-        .isLength({ max: 1000 })
-        .withMessage('Target audience description cannot exceed 1000 characters'),
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for assigning a quote
+ */
+export const validateAssignQuote = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid quote ID'),
+
+    // `.optional()` applies to a whole chain, so the key's presence is checked in its own chain
+    body('assignedTo')
+        .custom((_, { req }) => Object.hasOwn(req.body, 'assignedTo'))
+        .withMessage('Assignee is required (use null to unassign)'),
+
+    body('assignedTo')
+        .optional({ values: 'null' })
+        .trim()
+        .isEmail()
+        .withMessage('Assignee must be an email address')
+        .bail()
+        .custom(assignee => config.quotes.assignees.includes(assignee.toLowerCase()))
+        .withMessage('Assignee must be one of QUOTE_ASSIGNEES'),
 
     handleValidationErrors
 ];
 
 /**
- * Validation rules for updating quote status
+ * Validation rules for adding a note to a quote
  */
-export const validateUpdateStatus = [
+export const validateQuoteNote = [
     param('id')
         .isMongoId()
         .withMessage('Invalid quote ID'),
 
-    body('status')
+    body('body')
+        .trim()
         .notEmpty()
-        .withMessage('Status is required')
-        .isIn(['pending', 'reviewed', 'quoted', 'accepted', 'rejected', 'completed'])
-        .withMessage('Invalid status value'),
+        .withMessage('Note text is required')
+        .isLength({ max: 2000 })
+        .withMessage('Notes cannot exceed 2000 characters'),
 
-    body('notes')
+    body('visibility')
+        .optional()
+        .isIn(Object.values(NOTE_VISIBILITIES))
+        .withMessage('Note visibility must be internal or customer'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for editing a quote note
+ */
+export const validateUpdateQuoteNote = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid quote ID'),
+
+    param('noteId')
+        .isMongoId()
+        .withMessage('Invalid note ID'),
+
+    body('body')
         .optional()
         .trim()
-        .isLength({ max: 1000 })
-        .withMessage('Notes cannot exceed 1000 characters'),
+        .notEmpty()
+        .withMessage('Note text cannot be empty')
+        .isLength({ max: 2000 })
+        .withMessage('Notes cannot exceed 2000 characters'),
+
+    body('visibility')
+        .optional()
+        .isIn(Object.values(NOTE_VISIBILITIES))
+        .withMessage('Note visibility must be internal or customer'),
+
+    body()
+        .custom(value => value?.body !== undefined || value?.visibility !== undefined)
+        .withMessage('Provide the note text or visibility to change'),
 
     handleValidationErrors
 ];
 
 /**
- * Validation rules for adding quote amount
+ * Validation rules for updating a quote's tax details
  */
-export const validateAddQuote = [
+export const validateUpdateQuoteTax = [
     param('id')
         .isMongoId()
         .withMessage('Invalid quote ID'),
 
-    body('amount')
+    body('taxExempt')
+        .optional()
+        .isBoolean()
+        .withMessage('Tax exempt must be true or false')
+        .toBoolean(),
+
+    body('taxExemptReason')
+        .if(body('taxExempt').equals('true'))
+        .trim()
         .notEmpty()
-        .withMessage('Quote amount is required')
-        .isNumeric()
-        .withMessage('Amount must be a number')
-        .isFloat({ min: 0.01 })
-        .withMessage('Amount must be greater than 0'),
+        .withMessage('A reason is required when exempting a quote from tax')
+        .isLength({ max: 200 })
+        .withMessage('Tax exemption reason cannot exceed 200 characters'),
 
-    body('currency')
+    body('country')
+        .optional({ values: 'falsy' })
+        .trim()
+        .toUpperCase()
+        .matches(/^[A-Z]{2}$/)
+        .withMessage('Country must be a two-letter ISO country code'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for comparing quote revisions
+ */
+export const validateRevisionDiff = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid quote ID'),
+
+    query('from')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('From must be a revision number'),
+
+    query('to')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('To must be a revision number'),
+
+    query('to')
+        .custom((to, { req }) => {
+            if (to !== undefined && req.query.from !== undefined && parseInt(req.query.from) === parseInt(to)) {
+                throw new Error('Choose two different revisions to compare');
+            }
+            return true;
+        }),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for downloading a quotation PDF
+ */
+export const validateQuotePdf = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid quote ID'),
+
+    query('revision')
         .optional()
-        .isIn(['USD', 'KES'])
-        .withMessage('Currency must be USD or KES'),
+        .isInt({ min: 1 })
+        .withMessage('Revision must be a revision number'),
 
     handleValidationErrors
 ];
@@ -242,24 +600,41 @@ export const validateQueryParams = [
 
     query('status')
         .optional()
-        .isIn(['pending', 'reviewed', 'quoted', 'accepted', 'rejected', 'completed'])
+        .isIn(Object.values(QUOTE_STATUSES))
         .withMessage('Invalid status filter'),
 
+    // Services may have been removed from the catalog since they were quoted,
+    // so filters accept any service name
     query('service')
         .optional()
-        .isIn([
-            'Web Development',
-            'Mobile App Design',
-            'UI/UX Design',
-            'E-commerce Solutions',
-            'Digital Marketing',
-            'Consulting & Automation'
-        ])
+        .trim()
+        .isLength({ min: 1, max: 100 })
         .withMessage('Invalid service filter'),
 
+    query('bundle')
+        .optional()
+        .isBoolean()
+        .withMessage('Bundle filter must be true or false'),
+
+    query('budgetFit')
+        .optional()
+        .isIn(Object.values(BUDGET_FIT_VERDICTS))
+        .withMessage(`Budget fit filter must be one of ${Object.values(BUDGET_FIT_VERDICTS).join(', ')}`),
+
+    query('priority')
+        .optional()
+        .isIn(Object.values(PRIORITY_LEVELS))
+        .withMessage(`Priority filter must be one of ${Object.values(PRIORITY_LEVELS).join(', ')}`),
+
+    query('assignedTo')
+        .optional()
+        .if(query('assignedTo').not().equals('unassigned'))
+        .isEmail()
+        .withMessage('Assignee filter must be an email address or "unassigned"'),
+
     query('sortBy')
         .optional()
-        .isIn(['createdAt', 'updatedAt', 'name', 'service', 'status', 'budget'])
+        .isIn(['createdAt', 'updatedAt', 'deletedAt', 'name', 'service', 'status', 'budget'])
         .withMessage('Invalid sort field'),
 
     query('sortOrder')
@@ -275,15 +650,427 @@ export const validateQueryParams = [
  */
 export const validateServiceParam = [
     param('service')
-        .isIn([
-            'Web Development',
-            'Mobile App Design',
-            'UI/UX Design',
-            'E-commerce Solutions',
-            'Digital Marketing',
-            'Consulting & Automation'
-        ])
+        .trim()
+        .isLength({ min: 1, max: 100 })
         .withMessage('Invalid service type'),
 
     handleValidationErrors
-];
\ No newline at end of file
+];
+
+/**
+ * Validation rules for catalog service fields
+ * @param {boolean} isUpdate - Whether fields are optional (updates) or required (creation)
+ * @returns {Array} express-validator chains
+ */
+const catalogServiceValidators = (isUpdate) => {
+    const field = (path, message) => isUpdate
+        ? body(path).optional()
+        : body(path).exists({ values: 'falsy' }).withMessage(message);
+
+    return [
+        field('name', 'Service name is required')
+            .isString()
+            .trim()
+            .isLength({ min: 2, max: 100 })
+            .withMessage('Service name must be between 2 and 100 characters'),
+
+        body('description')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Description cannot exceed 500 characters'),
+
+        field('category', 'Service category is required')
+            .isIn(Object.values(SERVICE_CATEGORIES))
+            .withMessage('Invalid service category'),
+
+        body('features')
+            .optional()
+            .isArray()
+            .withMessage('Features must be an array'),
+
+        body('timeline')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 50 })
+            .withMessage('Timeline cannot exceed 50 characters'),
+
+        field('basePrice', 'Base price is required')
+            .isObject()
+            .withMessage('Base price must be an object keyed by currency'),
+
+        field(`basePrice.${BASE_CURRENCY}`, `Base price in ${BASE_CURRENCY} is required`)
+            .isFloat({ min: 0 })
+            .withMessage(`Base price in ${BASE_CURRENCY} must be a positive number`),
+
+        // Other currencies are optional overrides; null removes an override
+        ...Object.keys(CURRENCIES).filter(currency => currency !== BASE_CURRENCY).map(currency =>
+            body(`basePrice.${currency}`)
+                .optional({ values: 'null' })
+                .isFloat({ min: 0 })
+                .withMessage(`Base price in ${currency} must be a positive number`)
+        ),
+
+        body('priceRange.*')
+            .optional({ values: 'null' })
+            .isObject()
+            .withMessage('Each price range must be an object with min and max'),
+
+        body('priceRange')
+            .optional()
+            .isObject()
+            .withMessage('Price range must be an object keyed by currency'),
+
+        body('priceRange.*.min')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Price range minimum must be a positive number'),
+
+        body('priceRange.*.max')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Price range maximum must be a positive number'),
+
+        // null falls back to the default quote validity
+        body('validityDays')
+            .optional({ values: 'null' })
+            .isInt({ min: 1, max: 365 })
+            .withMessage('Quote validity must be between 1 and 365 days')
+            .toInt(),
+
+        field('complexity', 'Complexity levels are required')
+            .isObject()
+            .withMessage('Complexity must be an object keyed by level'),
+
+        ...['basic', 'intermediate', 'advanced'].map(level =>
+            field(`complexity.${level}.multiplier`, `A ${level} complexity multiplier is required`)
+                .isFloat({ min: 0.1, max: 20 })
+                .withMessage(`The ${level} multiplier must be between 0.1 and 20`)
+        ),
+
+        body('effectiveFrom')
+            .optional()
+            .isISO8601()
+            .withMessage('Effective date must be a valid ISO 8601 date'),
+
+        body('changeSummary')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Change summary cannot exceed 500 characters')
+    ];
+};
+
+/**
+ * Validation rules for adding a service to the catalog
+ */
+export const validateCreateCatalogService = [
+    body('key')
+        .notEmpty()
+        .withMessage('Service key is required')
+        .matches(/^[A-Z][A-Z0-9_]{1,49}$/)
+        .withMessage('Service key must be upper-case letters, digits and underscores (e.g. WEB_DEVELOPMENT)'),
+
+    ...catalogServiceValidators(false),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a catalog service
+ */
+export const validateUpdateCatalogService = [
+    param('key')
+        .matches(/^[A-Z][A-Z0-9_]{1,49}$/)
+        .withMessage('Invalid service key'),
+
+    ...catalogServiceValidators(true),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for catalog service and add-on key parameters
+ */
+export const validateCatalogKey = [
+    param('key')
+        .matches(/^[A-Za-z][A-Za-z0-9_]{1,49}$/)
+        .withMessage('Invalid catalog key'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a catalog add-on
+ */
+export const validateUpdateCatalogAddon = [
+    param('key')
+        .matches(/^[a-z][a-zA-Z0-9_]{1,49}$/)
+        .withMessage('Invalid add-on key'),
+
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Add-on name must be between 2 and 100 characters'),
+
+    body('prices')
+        .isObject()
+        .withMessage('Prices must be an object keyed by tier'),
+
+    body(`prices.*.${BASE_CURRENCY}`)
+        .isFloat({ min: 0 })
+        .withMessage(`Each tier needs a positive ${BASE_CURRENCY} price`),
+
+    ...Object.keys(CURRENCIES).filter(currency => currency !== BASE_CURRENCY).map(currency =>
+        body(`prices.*.${currency}`)
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage(`${currency} tier prices must be positive numbers`)
+    ),
+
+    body('prices.*.period')
+        .optional({ values: 'null' })
+        .isIn(['monthly', 'quarterly', 'yearly'])
+        .withMessage('Period must be monthly, quarterly or yearly'),
+
+    body('effectiveFrom')
+        .optional()
+        .isISO8601()
+        .withMessage('Effective date must be a valid ISO 8601 date'),
+
+    body('changeSummary')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Change summary cannot exceed 500 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for saving a service's scoring rules
+ * The rule set itself is checked by validateScoringRules (utils/complexity.js).
+ */
+export const validateUpdateServiceScoring = [
+    param('key')
+        .matches(/^[A-Z][A-Z0-9_]{1,49}$/)
+        .withMessage('Invalid service key'),
+
+    body('rules')
+        .exists()
+        .withMessage('Scoring rules are required (use null to restore the defaults)')
+        .custom(rules => rules === null || (typeof rules === 'object' && !Array.isArray(rules)))
+        .withMessage('Scoring rules must be an object or null'),
+
+    body('effectiveFrom')
+        .optional()
+        .isISO8601()
+        .withMessage('Effective date must be a valid ISO 8601 date'),
+
+    body('changeSummary')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Change summary cannot exceed 500 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for replacing the priority triage rules
+ */
+export const validateUpdatePriorityRules = [
+    body('rules')
+        .exists()
+        .withMessage('Priority rules are required (use null to restore the defaults)')
+        .custom(rules => rules === null || (typeof rules === 'object' && !Array.isArray(rules)))
+        .withMessage('Priority rules must be an object or null'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for a scoring dry run
+ */
+export const validateScoringDryRun = [
+    param('key')
+        .matches(/^[A-Z][A-Z0-9_]{1,49}$/)
+        .withMessage('Invalid service key'),
+
+    body('quote')
+        .isObject()
+        .withMessage('A sample quote payload is required'),
+
+    body('quote.currency')
+        .optional()
+        .isIn(Object.keys(CURRENCIES))
+        .withMessage(`Currency must be one of ${Object.keys(CURRENCIES).join(', ')}`),
+
+    body('rules')
+        .optional()
+        .isObject()
+        .withMessage('Scoring rules must be an object'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for updating an exchange rate
+ */
+export const validateUpdateExchangeRate = [
+    param('currency')
+        .isIn(Object.keys(CURRENCIES).filter(currency => currency !== BASE_CURRENCY))
+        .withMessage(`Exchange rates can be set for ${Object.keys(CURRENCIES).filter(currency => currency !== BASE_CURRENCY).join(', ')}`),
+
+    body('rate')
+        .notEmpty()
+        .withMessage('Exchange rate is required')
+        .isFloat({ gt: 0 })
+        .withMessage(`Exchange rate must be a positive number of units per 1 ${BASE_CURRENCY}`),
+
+    body('rounding')
+        .optional()
+        .isFloat({ min: 0.01 })
+        .withMessage('Rounding increment must be at least 0.01'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for setting a tax rate
+ */
+export const validateUpdateTaxRate = [
+    param('scope')
+        .isIn(['country', 'currency'])
+        .withMessage('Tax scope must be country or currency'),
+
+    param('code')
+        .toUpperCase()
+        .custom((code, { req }) => {
+            if (req.params.scope === 'currency' && !CURRENCIES[code]) {
+                throw new Error(`Currency must be one of ${Object.keys(CURRENCIES).join(', ')}`);
+            }
+            if (req.params.scope === 'country' && !/^[A-Z]{2}$/.test(code)) {
+                throw new Error('Country must be a two-letter ISO country code');
+            }
+            return true;
+        }),
+
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Tax name is required (e.g. VAT)')
+        .isLength({ max: 50 })
+        .withMessage('Tax name cannot exceed 50 characters'),
+
+    body('rate')
+        .notEmpty()
+        .withMessage('Tax rate is required')
+        .isFloat({ min: 0, max: 1 })
+        .withMessage('Tax rate must be a fraction between 0 and 1 (e.g. 0.16 for 16%)'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for catalog version parameters
+ */
+export const validateCatalogVersionParam = [
+    param('version')
+        .isInt({ min: 1 })
+        .withMessage('Catalog version must be a positive integer'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for customer search
+ */
+export const validateCustomerQuery = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+
+    query('search')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Search must be between 1 and 100 characters'),
+
+    query('tag')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Tag must be between 1 and 50 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a customer
+ */
+export const validateUpdateCustomer = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid customer ID'),
+
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+    body('phone')
+        .optional()
+        .trim()
+        .matches(/^[\+]?[1-9][\d]{0,15}$/)
+        .withMessage('Please provide a valid phone number'),
+
+    body('company')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Company name cannot exceed 100 characters'),
+
+    body('tags')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Tags must be an array of at most 20 tags'),
+
+    body('tags.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Each tag must be between 1 and 50 characters'),
+
+    body()
+        .custom(value => ['name', 'phone', 'company', 'tags'].some(field => value?.[field] !== undefined))
+        .withMessage('Provide the name, phone, company or tags to change'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validation rules for merging two customers
+ */
+export const validateMergeCustomers = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid customer ID'),
+
+    body('customerId')
+        .isMongoId()
+        .withMessage('ID of the customer to merge is required'),
+
+    handleValidationErrors
+];
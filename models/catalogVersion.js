@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import { SERVICES, SERVICE_ADDONS } from '../constants/services.js';
+
+// Define the catalog version schema
+// Every change to the service catalog is stored as a new, effective-dated
+// snapshot so that quotes priced against an older version stay reproducible.
+const catalogVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: [true, 'Catalog version number is required'],
+        min: [1, 'Catalog version must be a positive number']
+    },
+    effectiveFrom: {
+        type: Date,
+        required: [true, 'Effective date is required'],
+        default: Date.now
+    },
+    services: {
+        type: mongoose.Schema.Types.Mixed,
+        required: [true, 'Catalog services are required']
+    },
+    addons: {
+        type: mongoose.Schema.Types.Mixed,
+        required: [true, 'Catalog add-ons are required']
+    },
+    changeSummary: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Change summary cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// Indexes for better query performance
+catalogVersionSchema.index({ version: 1 }, { unique: true });
+catalogVersionSchema.index({ effectiveFrom: -1, version: -1 });
+
+// Static method to make sure the catalog has been seeded from the built-in constants
+catalogVersionSchema.statics.ensureSeeded = async function () {
+    const existing = await this.exists({});
+    if (existing) {
+        return;
+    }
+
+    try {
+        await this.create({
+            version: 1,
+            effectiveFrom: new Date(0),
+            services: SERVICES,
+            addons: SERVICE_ADDONS,
+            changeSummary: 'Initial catalog seeded from built-in pricing',
+            createdBy: 'system'
+        });
+    } catch (error) {
+        // Another request seeded the catalog first
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+// Static method to get the catalog version in effect at a given date
+catalogVersionSchema.statics.getActive = async function (date = new Date()) {
+    await this.ensureSeeded();
+    return this.findOne({ effectiveFrom: { $lte: date } })
+        .sort({ effectiveFrom: -1, version: -1 })
+        .lean();
+};
+
+// Static method to get the most recent catalog version, including future-dated ones
+catalogVersionSchema.statics.getLatest = async function () {
+    await this.ensureSeeded();
+    return this.findOne().sort({ version: -1 }).lean();
+};
+
+// Static method to get a specific catalog version
+catalogVersionSchema.statics.findByVersion = function (version) {
+    return this.findOne({ version }).lean();
+};
+
+// Static method to publish a new catalog version based on the latest one
+// `changes` receives copies of the latest services and add-ons and may modify them.
+// Versions build on each other, so they cannot take effect before the latest one.
+catalogVersionSchema.statics.publish = async function (changes, { effectiveFrom, changeSummary, createdBy } = {}) {
+    const latest = await this.getLatest();
+    const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
+
+    if (effectiveDate < latest.effectiveFrom) {
+        const error = new Error(`Catalog version ${latest.version} is scheduled for ${latest.effectiveFrom.toISOString()}; new versions must take effect on or after that date`);
+        error.name = 'CatalogScheduleError';
+        throw error;
+    }
+
+    const services = structuredClone(latest.services);
+    const addons = structuredClone(latest.addons);
+
+    changes({ services, addons });
+
+    return this.create({
+        version: latest.version + 1,
+        effectiveFrom: effectiveDate,
+        services,
+        addons,
+        changeSummary,
+        createdBy
+    });
+};
+
+// Create and export the model
+const CatalogVersion = mongoose.model('CatalogVersion', catalogVersionSchema);
+
+export default CatalogVersion;
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+// Define the customer schema
+// A customer is identified by email; emails of customers merged into this one are kept
+// in `otherEmails` so their new requests are linked here too.
+const customerSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email address is required'],
+        trim: true,
+        lowercase: true
+    },
+    otherEmails: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    company: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Company name cannot exceed 100 characters']
+    },
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [50, 'Tags cannot exceed 50 characters']
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+customerSchema.index({ email: 1 }, { unique: true });
+customerSchema.index({ otherEmails: 1 });
+customerSchema.index({ tags: 1 });
+
+// Static method to find a customer by any of their emails
+customerSchema.statics.findByEmail = function (email) {
+    const address = email.trim().toLowerCase();
+    return this.findOne({ $or: [{ email: address }, { otherEmails: address }] });
+};
+
+// Static method to find or create the customer behind a quote request
+// Contact details are refreshed from the request; a blank phone or company keeps the stored one.
+// Resolves to { customer, created }.
+customerSchema.statics.upsertFromQuote = async function (quote) {
+    const contact = {
+        name: quote.name,
+        ...(quote.phone ? { phone: quote.phone } : {}),
+        ...(quote.company ? { company: quote.company } : {})
+    };
+
+    const existing = await this.findByEmail(quote.email);
+    if (existing) {
+        existing.set(contact);
+        return { customer: await existing.save(), created: false };
+    }
+
+    // Upsert on the primary email so two simultaneous first requests create one customer
+    const result = await this.findOneAndUpdate(
+        { email: quote.email.trim().toLowerCase() },
+        { $set: contact },
+        { upsert: true, new: true, runValidators: true, includeResultMetadata: true }
+    );
+
+    return { customer: result.value, created: !result.lastErrorObject?.updatedExisting };
+};
+
+// Static method to search customers by name, email or company, and by tag
+customerSchema.statics.searchFilter = function ({ search, tag } = {}) {
+    const filter = {};
+
+    if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }, { otherEmails: pattern }, { company: pattern }];
+    }
+    if (tag) {
+        filter.tags = tag.toLowerCase();
+    }
+
+    return filter;
+};
+
+// Instance method to absorb another customer's emails, tags and missing contact details
+// The caller moves the other customer's quotes over and deletes it.
+customerSchema.methods.absorb = function (other) {
+    const emails = new Set([...this.otherEmails, other.email, ...other.otherEmails]);
+    emails.delete(this.email);
+    this.otherEmails = [...emails];
+    this.tags = [...new Set([...this.tags, ...other.tags])];
+    this.name = this.name || other.name;
+    this.phone = this.phone || other.phone;
+    this.company = this.company || other.company;
+    return this.save();
+};
+
+// Create and export the model
+const Customer = mongoose.model('Customer', customerSchema);
+
+export default Customer;
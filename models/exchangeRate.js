@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import { BASE_CURRENCY, CURRENCIES, DEFAULT_EXCHANGE_RATES } from '../constants/services.js';
+
+// Currencies that are priced by conversion from the base currency
+const CONVERTED_CURRENCIES = Object.keys(CURRENCIES).filter(code => code !== BASE_CURRENCY);
+
+// Define the exchange rate schema
+// One document per currency; currencies without a document use the built-in default rate.
+const exchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        enum: {
+            values: CONVERTED_CURRENCIES,
+            message: 'Exchange rates can only be set for supported non-base currencies'
+        }
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Exchange rate is required'],
+        min: [0, 'Exchange rate cannot be negative']
+    },
+    rounding: {
+        type: Number,
+        min: [0.01, 'Rounding increment must be at least 0.01']
+    },
+    updatedBy: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+exchangeRateSchema.index({ currency: 1 }, { unique: true });
+
+// Static method to get the full rate table, falling back to default rates
+exchangeRateSchema.statics.getRateTable = async function () {
+    const overrides = await this.find().lean();
+    const rates = structuredClone(DEFAULT_EXCHANGE_RATES.rates);
+    let asOf = null;
+
+    overrides.forEach(override => {
+        rates[override.currency] = {
+            rate: override.rate,
+            rounding: override.rounding || rates[override.currency]?.rounding || 1
+        };
+
+        if (!asOf || override.updatedAt > asOf) {
+            asOf = override.updatedAt;
+        }
+    });
+
+    return {
+        base: BASE_CURRENCY,
+        asOf,
+        rates
+    };
+};
+
+// Static method to set the rate (and optionally the rounding increment) for a currency
+exchangeRateSchema.statics.setRate = function (currency, { rate, rounding, updatedBy } = {}) {
+    const update = { rate, updatedBy };
+    if (rounding !== undefined) {
+        update.rounding = rounding;
+    }
+
+    return this.findOneAndUpdate(
+        { currency },
+        { $set: update },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Create and export the model
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
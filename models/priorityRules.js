@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { DEFAULT_PRIORITY_RULES } from '../constants/scoring.js';
+
+// Define the priority rules schema
+// A single document holds the admin's triage rules; without it DEFAULT_PRIORITY_RULES apply.
+const priorityRulesSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        immutable: true
+    },
+    rules: {
+        type: mongoose.Schema.Types.Mixed,
+        required: [true, 'Priority rules are required']
+    },
+    updatedBy: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// Indexes for better query performance
+priorityRulesSchema.index({ key: 1 }, { unique: true });
+
+// Static method to get the triage rules in effect
+priorityRulesSchema.statics.getRules = async function () {
+    const stored = await this.findOne({ key: 'default' }).lean();
+
+    return {
+        isDefault: !stored,
+        rules: stored?.rules || DEFAULT_PRIORITY_RULES,
+        updatedBy: stored?.updatedBy,
+        updatedAt: stored?.updatedAt
+    };
+};
+
+// Static method to replace the triage rules, or restore the defaults with null
+priorityRulesSchema.statics.setRules = async function (rules, updatedBy) {
+    if (rules === null) {
+        await this.deleteOne({ key: 'default' });
+    } else {
+        await this.findOneAndUpdate(
+            { key: 'default' },
+            { $set: { rules, updatedBy } },
+            { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    return this.getRules();
+};
+
+// Create and export the model
+const PriorityRules = mongoose.model('PriorityRules', priorityRulesSchema);
+
+export default PriorityRules;
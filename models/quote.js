@@ -1,7 +1,323 @@
+import { randomUUID } from 'crypto';
 import mongoose from 'mongoose';
+import CatalogVersion from './catalogVersion.js';
+import { calculateSlaDueDates } from '../utils/sla.js';
+import {
+    calculateFirstYearTotal,
+    calculateValidUntil,
+    summarizeRecurringCharges,
+    getServiceByName,
+    BASE_CURRENCY,
+    CURRENCIES,
+    BUDGET_FIT_VERDICTS,
+    QUOTE_STATUSES,
+    QUOTE_STATUS_TRANSITIONS,
+    QUOTE_VALIDITY,
+    NOTE_VISIBILITIES,
+    OPEN_QUOTE_STATUSES,
+    PRIORITY_LEVELS,
+    ATTACHMENT_STORAGES
+} from '../constants/services.js';
+
+// Service selection shared by the quote and each bundled service
+// New selections must exist in the active catalog; existing quotes keep their
+// service even if it is later removed from the catalog.
+const serviceField = {
+    type: String,
+    required: [true, 'Service selection is required'],
+    trim: true,
+    validate: {
+        validator: async function (name) {
+            if (!this.ownerDocument().isNew && !this.isModified('service')) {
+                return true;
+            }
+            const catalog = await CatalogVersion.getActive();
+            return Boolean(getServiceByName(name, catalog.services));
+        },
+        message: 'Please select a valid service'
+    }
+};
+
+/**
+ * Build a `required` validator for fields that only apply to some services
+ * Bundle quotes keep these fields on each entry in `services`, so they are not
+ * required on the quote itself.
+ * @param {...string} serviceNames - Services the field is required for
+ * @returns {Function} Mongoose required validator
+ */
+const requiredForServices = (...serviceNames) => function () {
+    return !this.isBundle && serviceNames.includes(this.service);
+};
+
+// Service-specific fields shared by the quote and each bundled service
+const serviceSpecificFields = {
+    // Service-specific fields for Web Development & Mobile App
+    features: [{
+        type: String,
+        enum: ['Frontend', 'Backend', 'Database', 'API', 'Authentication']
+    }],
+    hosting: {
+        type: String,
+        enum: ['Yes', 'No', 'Advice'],
+        required: requiredForServices('Web Development', 'Mobile App Design')
+    },
+    domain: {
+        type: String,
+        enum: ['Yes', 'No', 'Advice'],
+        required: requiredForServices('Web Development', 'Mobile App Design')
+    },
+    maintenance: {
+        type: String,
+        enum: ['None', 'Monthly', 'Quarterly', 'Yearly', 'Custom'],
+        required: requiredForServices('Web Development', 'Mobile App Design')
+    },
+    hostingPlan: {
+        type: String,
+        enum: ['Basic', 'Premium', 'Enterprise']
+    },
+    domainExtension: {
+        type: String,
+        enum: ['.com', '.co.ke', '.org']
+    },
+    ssl: {
+        type: String,
+        enum: ['None', 'Basic', 'Premium']
+    },
+
+    // Service-specific fields for UI/UX Design
+    designType: [{
+        type: String,
+        enum: ['Website', 'Mobile App', 'Dashboard', 'Branding']
+    }],
+    platforms: [{
+        type: String,
+        enum: ['Desktop', 'Tablet', 'Mobile']
+    }],
+    pages: {
+        type: String,
+        trim: true,
+        required: requiredForServices('UI/UX Design')
+    },
+
+    // Service-specific fields for Digital Marketing
+    marketingChannels: [{
+        type: String,
+        enum: ['Social Media', 'SEO', 'Content Marketing', 'Email Marketing', 'PPC']
+    }],
+    campaignDuration: {
+        type: String,
+        enum: ['1 Month', '3 Months', '6 Months', '12 Months', 'Ongoing'],
+        required: requiredForServices('Digital Marketing')
+    },
+    targetAudience: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Target audience description cannot exceed 1000 characters'],
+        required: requiredForServices('Digital Marketing')
+    }
+};
+
+// Complexity score behind an automatic quote, kept so the price can be explained
+const complexityAssessmentSchema = new mongoose.Schema({
+    level: {
+        type: String,
+        enum: ['basic', 'intermediate', 'advanced']
+    },
+    score: {
+        type: Number
+    },
+    factors: [{
+        _id: false,
+        code: { type: String, trim: true },
+        description: { type: String, trim: true },
+        points: { type: Number }
+    }]
+}, { _id: false });
+
+// Schema for the triage score behind a quote's priority
+const priorityAssessmentSchema = new mongoose.Schema({
+    score: {
+        type: Number
+    },
+    factors: [{
+        _id: false,
+        code: { type: String, trim: true },
+        description: { type: String, trim: true },
+        points: { type: Number }
+    }]
+}, { _id: false });
+
+// Response-time SLA of a quote request; targets are in business hours
+const slaSchema = new mongoose.Schema({
+    firstResponseHours: { type: Number },
+    quoteHours: { type: Number },
+    firstResponseDueAt: { type: Date },
+    quoteDueAt: { type: Date },
+    firstResponseAt: { type: Date },
+    quotedAt: { type: Date }
+}, { _id: false });
+
+// Recurring charge billed on top of the upfront amount
+const recurringChargeSchema = new mongoose.Schema({
+    name: { type: String, trim: true },
+    amount: { type: Number, min: [0, 'Recurring charge must be a positive number'] },
+    currency: { type: String, enum: Object.keys(CURRENCIES) },
+    period: { type: String, enum: ['monthly', 'quarterly', 'yearly'] }
+}, { _id: false });
+
+// Tax on the upfront amount; recurring charges are quoted net of tax
+const taxSchema = new mongoose.Schema({
+    name: { type: String, trim: true },
+    rate: { type: Number, min: [0, 'Tax rate cannot be negative'] },
+    scope: { type: String, enum: ['country', 'currency', null] },
+    code: { type: String, trim: true },
+    exempt: { type: Boolean },
+    exemptReason: { type: String, trim: true },
+    net: { type: Number },
+    amount: { type: Number },
+    gross: { type: Number }
+}, { _id: false });
+
+// A quote as issued to the customer; revisions are never modified once recorded
+const revisionSchema = new mongoose.Schema({
+    number: {
+        type: Number,
+        required: true,
+        min: [1, 'Revision number must be a positive number']
+    },
+    source: {
+        type: String,
+        enum: ['automatic', 'manual'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        min: [0, 'Quoted amount must be a positive number']
+    },
+    currency: {
+        type: String,
+        enum: Object.keys(CURRENCIES)
+    },
+    tax: taxSchema,
+    recurringCharges: [recurringChargeSchema],
+    firstYearTotal: { type: Number },
+    catalogVersion: { type: Number },
+    priceBreakdown: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    validUntil: { type: Date },
+    // Customer-visible notes as they read when the revision was issued
+    customerNotes: [{
+        _id: false,
+        body: { type: String, trim: true },
+        createdAt: { type: Date }
+    }],
+    createdBy: {
+        type: String,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Fields shared by a note and the earlier versions kept in its edit history
+const noteBodyField = {
+    type: String,
+    trim: true,
+    required: [true, 'Note text is required'],
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+};
+
+const noteVisibilityField = {
+    type: String,
+    enum: Object.values(NOTE_VISIBILITIES),
+    default: NOTE_VISIBILITIES.INTERNAL
+};
+
+// A note in a quote's thread; internal notes are never shown to the customer
+const noteSchema = new mongoose.Schema({
+    body: noteBodyField,
+    visibility: noteVisibilityField,
+    author: {
+        type: String,
+        trim: true
+    },
+    // Earlier versions of the note, oldest first
+    edits: [{
+        _id: false,
+        body: noteBodyField,
+        visibility: noteVisibilityField,
+        editedBy: { type: String, trim: true },
+        editedAt: { type: Date, default: Date.now }
+    }]
+}, { timestamps: true });
+
+// A file sent with the request; `storageKey` locates it in its storage (see utils/attachmentStorage.js)
+const attachmentSchema = new mongoose.Schema({
+    filename: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    contentType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    storage: {
+        type: String,
+        enum: Object.values(ATTACHMENT_STORAGES),
+        required: true
+    },
+    storageKey: {
+        type: String,
+        required: true
+    },
+    // 'customer' or the admin's email
+    uploadedBy: {
+        type: String,
+        trim: true
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Fields a customer fills in on a quote request; everything else is set by the server
+const REQUEST_SERVICE_FIELDS = ['service', ...Object.keys(serviceSpecificFields)];
+const REQUEST_FIELDS = [
+    'name', 'email', 'phone', 'company', 'timeline', 'budget', 'currency', 'description',
+    'customerType', 'country', 'services', ...REQUEST_SERVICE_FIELDS
+];
+
+// Schema for a single service within a bundle request
+const serviceItemSchema = new mongoose.Schema({
+    service: serviceField,
+    ...serviceSpecificFields,
+    quotedAmount: {
+        type: Number,
+        min: [0, 'Quoted amount must be a positive number']
+    },
+    complexityAssessment: complexityAssessmentSchema
+}, { _id: false });
 
 // Define the quote request schema
 const quoteSchema = new mongoose.Schema({
+    // Files sent with the request or uploaded afterwards
+    attachments: [attachmentSchema],
+
+    // Customer record this request belongs to (see models/customer.js)
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+
     // Contact Information
     name: {
         type: String,
@@ -29,26 +345,12 @@ const quoteSchema = new mongoose.Schema({
     },
 
     // Project Details
-    service: {
-        type: String,
-        required: [true, 'Service selection is required'],
-        enum: {
-            values: [
-                'Web Development',
-                'Mobile App Design',
-                'UI/UX Design',
-                'E-commerce Solutions',
-                'Digital Marketing',
-                'Consulting & Automation'
-            ],
-            message: 'Please select a valid service'
-        }
-    },
+    service: serviceField,
     timeline: {
         type: String,
         required: [true, 'Timeline is required'],
         enum: {
-            values: ['1-2 weeks', '3-4 weeks', '1-2 months', '3-6 months', '6+ months', 'Flexible'],
+            values: ['Under 1 week', '1-2 weeks', '3-4 weeks', '1-2 months', '3-6 months', '6+ months', 'Flexible'],
             message: 'Please select a valid timeline'
         }
     },
@@ -61,7 +363,7 @@ const quoteSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Currency is required'],
         enum: {
-            values: ['USD', 'KES'],
+            values: Object.keys(CURRENCIES),
             message: 'Please select a valid currency'
         },
         default: 'USD'
@@ -72,83 +374,84 @@ const quoteSchema = new mongoose.Schema({
         trim: true,
         maxlength: [2000, 'Description cannot exceed 2000 characters']
     },
-
-    // Service-specific fields for Web Development & Mobile App
-    features: [{
+    customerType: {
         type: String,
-        enum: ['Frontend', 'Backend', 'Database', 'API', 'Authentication']
-    }],
-    hosting: {
-        type: String,
-        enum: ['Yes', 'No', 'Advice'],
-        required: function () {
-            return this.service === 'Web Development' || this.service === 'Mobile App Design';
-        }
-    },
-    domain: {
-        type: String,
-        enum: ['Yes', 'No', 'Advice'],
-        required: function () {
-            return this.service === 'Web Development' || this.service === 'Mobile App Design';
-        }
-    },
-    maintenance: {
-        type: String,
-        enum: ['None', 'Monthly', 'Quarterly', 'Yearly', 'Custom'],
-        required: function () {
-            return this.service === 'Web Development' || this.service === 'Mobile App Design';
-        }
+        enum: {
+            values: ['Individual', 'Business', 'Student', 'Non-profit'],
+            message: 'Please select a valid customer type'
+        },
+        default: 'Individual'
     },
-
-    // Service-specific fields for UI/UX Design
-    designType: [{
-        type: String,
-        enum: ['Website', 'Mobile App', 'Dashboard', 'Branding']
-    }],
-    platforms: [{
-        type: String,
-        enum: ['Desktop', 'Tablet', 'Mobile']
-    }],
-    pages: {
+    country: {
         type: String,
         trim: true,
-        required: function () {
-            return this.service === 'UI/UX Design';
-        }
+        uppercase: true,
+        match: [/^[A-Z]{2}$/, 'Please enter a two-letter country code']
     },
 
-    // Service-specific fields for Digital Marketing
-    marketingChannels: [{
-        type: String,
-        enum: ['Social Media', 'SEO', 'Content Marketing', 'Email Marketing', 'PPC']
-    }],
-    campaignDuration: {
-        type: String,
-        enum: ['1 Month', '3 Months', '6 Months', '12 Months', 'Ongoing'],
-        required: function () {
-            return this.service === 'Digital Marketing';
-        }
+    // Service-specific fields (single-service requests)
+    ...serviceSpecificFields,
+
+    // Bundle requests carry one entry per service with its own service-specific fields
+    services: {
+        type: [serviceItemSchema],
+        default: undefined,
+        validate: [
+            {
+                validator: (services) => services.length >= 2,
+                message: 'A bundle must include at least two services'
+            },
+            {
+                validator: (services) => new Set(services.map(item => item.service)).size === services.length,
+                message: 'Each service can only appear once in a bundle'
+            }
+        ]
     },
-    targetAudience: {
-        type: String,
-        trim: true,
-        maxlength: [1000, 'Target audience description cannot exceed 1000 characters'],
-        required: function () {
-            return this.service === 'Digital Marketing';
-        }
+    isBundle: {
+        type: Boolean,
+        default: false
     },
 
     // System fields
     status: {
         type: String,
-        enum: ['pending', 'reviewed', 'quoted', 'accepted', 'rejected', 'completed'],
+        enum: Object.values(QUOTE_STATUSES),
         default: 'pending'
     },
+    // Status changes made outside QUOTE_STATUS_TRANSITIONS by an admin override
+    statusOverrides: [{
+        _id: false,
+        from: { type: String, enum: Object.values(QUOTE_STATUSES) },
+        to: { type: String, enum: Object.values(QUOTE_STATUSES) },
+        reason: {
+            type: String,
+            trim: true,
+            required: [true, 'A reason is required to override the status workflow'],
+            maxlength: [500, 'Override reason cannot exceed 500 characters']
+        },
+        overriddenBy: { type: String, trim: true },
+        overriddenAt: { type: Date, default: Date.now }
+    }],
+    // Append-only record of every status change (see the status history middleware)
+    statusHistory: [{
+        _id: false,
+        from: { type: String, enum: Object.values(QUOTE_STATUSES) },
+        to: { type: String, enum: Object.values(QUOTE_STATUSES) },
+        changedBy: { type: String, trim: true },
+        note: { type: String, trim: true },
+        override: { type: Boolean, default: false },
+        changedAt: { type: Date, default: Date.now }
+    }],
+    noteThread: [noteSchema],
+    // Set by triage when the request is submitted (see utils/priority.js)
     priority: {
         type: String,
-        enum: ['low', 'medium', 'high', 'urgent'],
-        default: 'medium'
+        enum: Object.values(PRIORITY_LEVELS),
+        default: PRIORITY_LEVELS.MEDIUM
     },
+    priorityAssessment: priorityAssessmentSchema,
+    sla: slaSchema,
+    // Single note from before the notes thread; kept for reference and never emailed
     notes: {
         type: String,
         trim: true,
@@ -160,10 +463,153 @@ const quoteSchema = new mongoose.Schema({
     },
     quotedCurrency: {
         type: String,
-        enum: ['USD', 'KES'],
+        enum: Object.keys(CURRENCIES),
         default: 'USD'
     },
+    recurringCharges: [recurringChargeSchema],
+    firstYearTotal: {
+        type: Number,
+        min: [0, 'First-year total must be a positive number']
+    },
+    priceBreakdown: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    catalogVersion: {
+        type: Number,
+        min: [1, 'Catalog version must be a positive number']
+    },
+    complexityAssessment: complexityAssessmentSchema,
+    // Lines of a manually composed quote (totals are computed server-side)
+    lineItems: [{
+        _id: false,
+        description: {
+            type: String,
+            required: [true, 'Line item description is required'],
+            trim: true,
+            maxlength: [200, 'Line item description cannot exceed 200 characters']
+        },
+        quantity: {
+            type: Number,
+            min: [0, 'Quantity must be a positive number'],
+            default: 1
+        },
+        unitPrice: {
+            type: Number,
+            min: [0, 'Unit price must be a positive number']
+        },
+        discountPercent: {
+            type: Number,
+            min: [0, 'Discount cannot be negative'],
+            max: [100, 'Discount cannot exceed 100%'],
+            default: 0
+        },
+        discountAmount: { type: Number },
+        amount: { type: Number },
+        period: { type: String, enum: ['monthly', 'quarterly', 'yearly'] }
+    }],
+    // How the customer's budget compares with the automatically calculated price
+    budgetFit: {
+        verdict: {
+            type: String,
+            enum: Object.values(BUDGET_FIT_VERDICTS)
+        },
+        price: { type: Number },
+        difference: { type: Number },
+        differencePercent: { type: Number },
+        priceRange: {
+            min: { type: Number },
+            max: { type: Number }
+        },
+        rangePosition: {
+            type: String,
+            enum: ['below', 'within', 'above']
+        },
+        suggestions: [{
+            _id: false,
+            description: { type: String, trim: true },
+            changes: { type: mongoose.Schema.Types.Mixed },
+            price: { type: Number }
+        }]
+    },
+    // Exchange rate the quoted price was converted with, kept so the quote
+    // stays accurate after the rate table changes
+    exchangeRate: {
+        base: { type: String, enum: [BASE_CURRENCY] },
+        currency: { type: String, enum: Object.keys(CURRENCIES) },
+        rate: { type: Number, min: [0, 'Exchange rate cannot be negative'] },
+        asOf: { type: Date }
+    },
+    taxExempt: {
+        type: Boolean,
+        default: false
+    },
+    taxExemptReason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Tax exemption reason cannot exceed 200 characters']
+    },
+    tax: taxSchema,
+    // Every quote issued to the customer, oldest first
+    revisions: [revisionSchema],
+    // The quoted price holds until this date; the quote is then marked expired
+    validUntil: {
+        type: Date
+    },
+    expiryReminderSentAt: {
+        type: Date
+    },
+    // Identifies the accept/decline links of the current revision (see utils/quoteLinks.js);
+    // cleared once the customer responds so each link works only once
+    responseTokenId: {
+        type: String
+    },
+    // The customer's answer through the accept/decline links
+    customerResponse: {
+        action: {
+            type: String,
+            enum: ['accepted', 'rejected']
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
+        revision: { type: Number },
+        respondedAt: { type: Date }
+    },
+    // Admin responsible for the quote (email); `assignedBy` is 'system' for auto-assignment
     assignedTo: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    assignedAt: { type: Date },
+    assignedBy: {
+        type: String,
+        trim: true
+    },
+    // Earlier request this one likely repeats (see utils/duplicates.js) and how alike their descriptions are
+    duplicateOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quote',
+        default: null
+    },
+    duplicateSimilarity: { type: Number },
+    // Duplicate requests merged into this one, and the request a merged duplicate went into
+    mergedFrom: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quote'
+    }],
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quote'
+    },
+    // Set while the quote is in the trash; trashed quotes are purged after the retention period
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
         type: String,
         trim: true
     }
@@ -176,9 +622,17 @@ const quoteSchema = new mongoose.Schema({
 // Indexes for better query performance
 quoteSchema.index({ email: 1 });
 quoteSchema.index({ service: 1 });
+quoteSchema.index({ 'services.service': 1 });
 quoteSchema.index({ status: 1 });
+quoteSchema.index({ 'budgetFit.verdict': 1 });
 quoteSchema.index({ createdAt: -1 });
+quoteSchema.index({ status: 1, validUntil: 1 });
 quoteSchema.index({ priority: 1, createdAt: -1 });
+quoteSchema.index({ assignedTo: 1, status: 1 });
+quoteSchema.index({ status: 1, 'sla.quoteDueAt': 1 });
+quoteSchema.index({ deletedAt: 1 });
+quoteSchema.index({ duplicateOf: 1 });
+quoteSchema.index({ customer: 1, createdAt: -1 });
 
 // Virtual for formatted budget
 quoteSchema.virtual('formattedBudget').get(function () {
@@ -193,40 +647,438 @@ quoteSchema.virtual('formattedQuotedAmount').get(function () {
     return null;
 });
 
-// Pre-save middleware to validate service-specific fields
-quoteSchema.pre('save', function (next) {
+// Virtual for recurring charge totals per billing period
+quoteSchema.virtual('recurringTotals').get(function () {
+    return summarizeRecurringCharges(this.recurringCharges);
+});
+
+// Virtual for the number of the revision currently in effect
+quoteSchema.virtual('currentRevision').get(function () {
+    return this.revisions?.length ? this.revisions[this.revisions.length - 1].number : null;
+});
+
+/**
+ * Check the service-specific fields of a quote or bundled service
+ * @param {Object} entry - Quote document or entry from `services`
+ * @returns {string|null} Error message, or null when the fields are complete
+ */
+const getServiceFieldsError = (entry) => {
     // Validate Web Development & Mobile App specific fields
-    if ((this.service === 'Web Development' || this.service === 'Mobile App Design')) {
-        if (!this.hosting || !this.domain || !this.maintenance) {
-            return next(new Error('Hosting, domain, and maintenance fields are required for this service'));
+    if ((entry.service === 'Web Development' || entry.service === 'Mobile App Design')) {
+        if (!entry.hosting || !entry.domain || !entry.maintenance) {
+            return `Hosting, domain, and maintenance fields are required for ${entry.service}`;
         }
     }
 
     // Validate UI/UX Design specific fields
-    if (this.service === 'UI/UX Design') {
-        if (!this.pages || this.designType.length === 0 || this.platforms.length === 0) {
-            return next(new Error('Design type, platforms, and pages are required for UI/UX Design service'));
+    if (entry.service === 'UI/UX Design') {
+        if (!entry.pages || entry.designType.length === 0 || entry.platforms.length === 0) {
+            return 'Design type, platforms, and pages are required for UI/UX Design service';
         }
     }
 
     // Validate Digital Marketing specific fields
-    if (this.service === 'Digital Marketing') {
-        if (!this.campaignDuration || !this.targetAudience || this.marketingChannels.length === 0) {
-            return next(new Error('Marketing channels, campaign duration, and target audience are required for Digital Marketing service'));
+    if (entry.service === 'Digital Marketing') {
+        if (!entry.campaignDuration || !entry.targetAudience || entry.marketingChannels.length === 0) {
+            return 'Marketing channels, campaign duration, and target audience are required for Digital Marketing service';
+        }
+    }
+
+    return null;
+};
+
+// Query middleware to hide quotes in the trash
+// Queries that filter on `deletedAt` themselves (the trash and purge) see trashed quotes.
+quoteSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'], function (next) {
+    if (!('deletedAt' in this.getFilter())) {
+        this.where({ deletedAt: null });
+    }
+    next();
+});
+
+// Aggregate middleware to hide quotes in the trash from statistics
+quoteSchema.pre('aggregate', function (next) {
+    const [firstStage] = this.pipeline();
+    if (!firstStage?.$match || !('deletedAt' in firstStage.$match)) {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+});
+
+// Pre-validate middleware to derive bundle fields
+// The first bundled service doubles as the quote's primary service
+quoteSchema.pre('validate', function (next) {
+    if (this.services && this.services.length > 0) {
+        this.isBundle = true;
+        this.service = this.services[0].service;
+    } else {
+        this.isBundle = false;
+    }
+    next();
+});
+
+// Virtual for the statuses the quote may move to next
+quoteSchema.virtual('allowedStatuses').get(function () {
+    return QUOTE_STATUS_TRANSITIONS[this.status] || [];
+});
+
+// Remember the stored status so status changes can be checked on save
+quoteSchema.post('init', function () {
+    this.$locals.storedStatus = this.status;
+});
+
+quoteSchema.post('save', function () {
+    this.$locals.storedStatus = this.status;
+    this.$locals.statusOverride = false;
+    this.$locals.statusChange = undefined;
+});
+
+// Pre-save middleware to enforce the status workflow (see QUOTE_STATUS_TRANSITIONS)
+quoteSchema.pre('save', function (next) {
+    const from = this.$locals.storedStatus;
+
+    if (this.isNew || !this.isModified('status') || from === undefined || from === this.status ||
+        this.$locals.statusOverride || QUOTE_STATUS_TRANSITIONS[from]?.includes(this.status)) {
+        return next();
+    }
+
+    const allowedStatuses = QUOTE_STATUS_TRANSITIONS[from] || [];
+    const error = new Error(`Cannot move quote from ${from} to ${this.status}; allowed next statuses: ${allowedStatuses.join(', ') || 'none'}`);
+    error.name = 'QuoteStatusTransitionError';
+    error.from = from;
+    error.to = this.status;
+    error.allowedStatuses = allowedStatuses;
+    next(error);
+});
+
+// Pre-save middleware to append status changes to the history
+// Methods that change the status describe the change in `$locals.statusChange`;
+// new quotes are submitted by the customer.
+quoteSchema.pre('save', function (next) {
+    const from = this.isNew ? undefined : this.$locals.storedStatus;
+
+    if (!this.isNew && (!this.isModified('status') || from === this.status)) {
+        return next();
+    }
+
+    const { changedBy, note } = this.$locals.statusChange || {};
+    this.statusHistory.push({
+        from,
+        to: this.status,
+        changedBy: changedBy || (this.isNew ? 'customer' : 'system'),
+        note: note || undefined,
+        override: Boolean(this.$locals.statusOverride)
+    });
+    next();
+});
+
+// Pre-save middleware to track the response-time SLA (see SLA_TARGETS)
+// Due dates are set from the priority when the request is submitted, replacing any
+// given value. The first status change or revision by a person (not 'system') is the first
+// response; the first such move to, or revision while, quoted delivers the quote. Automatic
+// quotes and timed changes never count. Suspected duplicates are not tracked: they are
+// merged rather than answered.
+quoteSchema.pre('save', function (next) {
+    if (this.isNew) {
+        this.sla = this.duplicateOf ? undefined : calculateSlaDueDates(this.priority);
+        return next();
+    }
+
+    const { changedBy } = this.$locals.statusChange || {};
+    const statusChanged = this.isModified('status') && this.$locals.storedStatus !== this.status;
+    if (!this.sla || !changedBy || changedBy === 'system' || (!statusChanged && !this.isModified('revisions'))) {
+        return next();
+    }
+
+    const now = new Date();
+    if (!this.sla.firstResponseAt) {
+        this.sla.firstResponseAt = now;
+    }
+    if (this.status === QUOTE_STATUSES.QUOTED && !this.sla.quotedAt) {
+        this.sla.quotedAt = now;
+    }
+    next();
+});
+
+// Pre-save middleware to validate service-specific fields
+quoteSchema.pre('save', function (next) {
+    const entries = this.isBundle ? this.services : [this];
+
+    for (const entry of entries) {
+        const message = getServiceFieldsError(entry);
+        if (message) {
+            return next(new Error(message));
         }
     }
 
     next();
 });
 
+// Static method to pick the fields a customer may submit from a quote request
+// Bundled services keep only the service and its service-specific fields.
+quoteSchema.statics.pickRequestFields = function (data = {}) {
+    const pick = (source, fields) => Object.fromEntries(
+        fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+    );
+
+    const request = pick(data, REQUEST_FIELDS);
+    if (Array.isArray(request.services)) {
+        request.services = request.services.map(item => pick(item || {}, REQUEST_SERVICE_FIELDS));
+    }
+
+    return request;
+};
+
 // Static method to get quotes by status
 quoteSchema.statics.findByStatus = function (status) {
     return this.find({ status }).sort({ createdAt: -1 });
 };
 
+// Static method to build a filter matching quotes for a service, including bundles
+quoteSchema.statics.serviceFilter = function (service) {
+    return { $or: [{ service }, { 'services.service': service }] };
+};
+
 // Static method to get quotes by service
 quoteSchema.statics.findByService = function (service) {
-    return this.find({ service }).sort({ createdAt: -1 });
+    return this.find(this.serviceFilter(service)).sort({ createdAt: -1 });
+};
+
+// Static method to aggregate quotes per service, counting each service of a bundle
+// separately. Group fields can use `$budget`, `$isBundle` and `$entry.quotedAmount`.
+quoteSchema.statics.aggregateByService = function (groupFields = {}, match = {}) {
+    return this.aggregate([
+        { $match: match },
+        {
+            $project: {
+                budget: 1,
+                isBundle: 1,
+                entry: {
+                    $cond: [
+                        '$isBundle',
+                        {
+                            $map: {
+                                input: '$services',
+                                as: 'item',
+                                in: { service: '$$item.service', quotedAmount: '$$item.quotedAmount' }
+                            }
+                        },
+                        [{ service: '$service', quotedAmount: '$quotedAmount' }]
+                    ]
+                }
+            }
+        },
+        { $unwind: '$entry' },
+        {
+            $group: {
+                _id: '$entry.service',
+                count: { $sum: 1 },
+                bundledCount: { $sum: { $cond: ['$isBundle', 1, 0] } },
+                ...groupFields
+            }
+        },
+        { $sort: { count: -1 } }
+    ]);
+};
+
+// Static method to count open quotes per assignee
+// Returns a map of assignee email to count; assignees without open quotes are left out.
+quoteSchema.statics.countOpenByAssignee = async function (assignees) {
+    const counts = await this.aggregate([
+        { $match: { assignedTo: { $in: assignees }, status: { $in: OPEN_QUOTE_STATUSES } } },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+// Static method to find the admin who most recently received an automatic assignment
+quoteSchema.statics.findLastAutoAssignee = async function (assignees) {
+    const quote = await this.findOne({ assignedBy: 'system', assignedTo: { $in: assignees } })
+        .sort({ assignedAt: -1 })
+        .select('assignedTo')
+        .lean();
+    return quote?.assignedTo || null;
+};
+
+// Static method to find open quotes still waiting on an SLA target
+// Suspected duplicates are left out, including ones saved with due dates before they were excluded.
+quoteSchema.statics.findAwaitingSla = function () {
+    return this.find({
+        status: { $in: OPEN_QUOTE_STATUSES },
+        duplicateOf: null,
+        'sla.firstResponseDueAt': { $exists: true },
+        $or: [{ 'sla.firstResponseAt': null }, { 'sla.quotedAt': null }]
+    })
+        .select('name email service services.service isBundle status priority assignedTo sla createdAt')
+        .sort({ 'sla.quoteDueAt': 1 })
+        .lean();
+};
+
+// Static method to measure SLA attainment for quotes submitted since a date
+// Targets still open and not yet due are left out; attainment is the share met.
+quoteSchema.statics.getSlaAttainment = async function (since = null, now = new Date()) {
+    const match = { duplicateOf: null, 'sla.firstResponseDueAt': { $exists: true } };
+    if (since) {
+        match.createdAt = { $gte: since };
+    }
+
+    const countTarget = (doneField, dueField, openOnly) => ({
+        met: { $sum: { $cond: [{ $and: [{ $gt: [doneField, null] }, { $lte: [doneField, dueField] }] }, 1, 0] } },
+        breached: {
+            $sum: {
+                $cond: [{
+                    $or: [
+                        { $gt: [doneField, dueField] },
+                        {
+                            $and: [
+                                { $lte: [doneField, null] },
+                                { $lt: [dueField, now] },
+                                openOnly ? { $in: ['$status', OPEN_QUOTE_STATUSES] } : true
+                            ]
+                        }
+                    ]
+                }, 1, 0]
+            }
+        }
+    });
+
+    const firstResponse = countTarget('$sla.firstResponseAt', '$sla.firstResponseDueAt', false);
+    const quote = countTarget('$sla.quotedAt', '$sla.quoteDueAt', true);
+
+    const [totals = {}] = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                firstResponseMet: firstResponse.met,
+                firstResponseBreached: firstResponse.breached,
+                quoteMet: quote.met,
+                quoteBreached: quote.breached
+            }
+        }
+    ]);
+
+    const summarize = (met = 0, breached = 0) => ({
+        met,
+        breached,
+        attainment: met + breached > 0 ? Math.round((met / (met + breached)) * 1000) / 10 : null
+    });
+
+    return {
+        firstResponse: summarize(totals.firstResponseMet, totals.firstResponseBreached),
+        quote: summarize(totals.quoteMet, totals.quoteBreached)
+    };
+};
+
+// Static method to find issued quotes whose validity has passed
+quoteSchema.statics.findExpired = function (now = new Date()) {
+    return this.find({
+        status: QUOTE_STATUSES.QUOTED,
+        validUntil: { $lte: now }
+    });
+};
+
+// Static method to find issued quotes expiring soon whose customer has not been reminded
+quoteSchema.statics.findDueForExpiryReminder = function (now = new Date()) {
+    return this.find({
+        status: QUOTE_STATUSES.QUOTED,
+        validUntil: { $gt: now, $lte: calculateValidUntil(QUOTE_VALIDITY.reminderDaysBefore, now) },
+        expiryReminderSentAt: null
+    });
+};
+
+// Static method to claim a quote's accept/decline links so they can only be used once
+// Resolves to the quote, or null if the links were already used, replaced or the quote is no longer open
+quoteSchema.statics.claimResponseToken = function (id, responseTokenId) {
+    return this.findOneAndUpdate(
+        { _id: id, responseTokenId, status: QUOTE_STATUSES.QUOTED },
+        { $unset: { responseTokenId: 1 } },
+        { new: true }
+    );
+};
+
+// Static method to hand back claimed accept/decline links when the response could not be recorded
+// Only a quote that is still quoted and has no newer links gets them back.
+quoteSchema.statics.releaseResponseToken = function (id, responseTokenId) {
+    return this.updateOne(
+        { _id: id, responseTokenId: { $exists: false }, status: QUOTE_STATUSES.QUOTED },
+        { $set: { responseTokenId } }
+    );
+};
+
+// Static method to find recent requests from an email that a new request may duplicate
+quoteSchema.statics.findDuplicateCandidates = function (email, since) {
+    return this.find({ email: email.toLowerCase(), createdAt: { $gte: since } })
+        .select('service services.service description status duplicateOf createdAt')
+        .sort({ createdAt: -1 })
+        .lean();
+};
+
+// Static method to link quotes from an email that have no customer yet
+// These write to the collection directly so that quotes in the trash are linked too.
+quoteSchema.statics.linkEmailToCustomer = function (email, customerId) {
+    return this.collection.updateMany(
+        { email: email.toLowerCase(), customer: null },
+        { $set: { customer: customerId } }
+    );
+};
+
+// Static method to move every quote of one customer to another
+quoteSchema.statics.reassignCustomer = function (fromCustomerId, toCustomerId) {
+    return this.collection.updateMany(
+        { customer: fromCustomerId },
+        { $set: { customer: toCustomerId } }
+    );
+};
+
+// Static method to summarize a customer's quotes
+// Lifetime value is the quoted amount of accepted and completed quotes, per currency.
+quoteSchema.statics.getCustomerSummary = async function (customerId) {
+    const [summary] = await this.aggregate([
+        { $match: { customer: new mongoose.Types.ObjectId(customerId) } },
+        {
+            $facet: {
+                byStatus: [
+                    { $group: { _id: '$status', count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ],
+                lifetimeValue: [
+                    { $match: { status: { $in: [QUOTE_STATUSES.ACCEPTED, QUOTE_STATUSES.COMPLETED] } } },
+                    { $group: { _id: '$quotedCurrency', amount: { $sum: '$quotedAmount' }, quotes: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ],
+                dates: [
+                    { $group: { _id: null, firstQuoteAt: { $min: '$createdAt' }, lastQuoteAt: { $max: '$createdAt' } } }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        totalQuotes: summary.byStatus.reduce((sum, entry) => sum + entry.count, 0),
+        byStatus: Object.fromEntries(summary.byStatus.map(entry => [entry._id, entry.count])),
+        lifetimeValue: summary.lifetimeValue.map(entry => ({
+            currency: entry._id,
+            amount: entry.amount,
+            quotes: entry.quotes
+        })),
+        firstQuoteAt: summary.dates[0]?.firstQuoteAt || null,
+        lastQuoteAt: summary.dates[0]?.lastQuoteAt || null
+    };
+};
+
+// Static method to move quotes to the trash
+quoteSchema.statics.moveManyToTrash = function (ids, deletedBy) {
+    return this.updateMany(
+        { _id: { $in: ids }, deletedAt: null },
+        { $set: { deletedAt: new Date(), deletedBy } }
+    );
+};
+
+// Static method to permanently delete a quote if it is still in the trash and was trashed before a date
+// Resolves to the deleted quote, or null when it was restored or is not old enough.
+quoteSchema.statics.purgeTrashed = function (id, before) {
+    return this.findOneAndDelete({ _id: id, deletedAt: { $ne: null, $lte: before } });
 };
 
 // Static method to get recent quotes
@@ -235,22 +1087,252 @@ quoteSchema.statics.findRecent = function (limit = 10) {
 };
 
 // Instance method to update status
-quoteSchema.methods.updateStatus = function (newStatus, notes = '') {
+// An admin override (`overrideReason`) may make a move the status workflow does not allow.
+// The change is recorded in the status history as made by `changedBy` ('system' if not given);
+// `notes` are added to the notes thread, internal unless `noteVisibility` says otherwise.
+quoteSchema.methods.updateStatus = function (newStatus, notes = '', {
+    overrideReason,
+    changedBy,
+    noteVisibility = NOTE_VISIBILITIES.INTERNAL
+} = {}) {
+    const from = this.$locals.storedStatus ?? this.status;
+    if (overrideReason && !QUOTE_STATUS_TRANSITIONS[from]?.includes(newStatus)) {
+        this.statusOverrides.push({
+            from,
+            to: newStatus,
+            reason: overrideReason,
+            overriddenBy: changedBy
+        });
+        this.$locals.statusOverride = true;
+    }
+    this.$locals.statusChange = { changedBy, note: notes || overrideReason };
     this.status = newStatus;
     if (notes) {
-        this.notes = notes;
+        this.noteThread.push({ body: notes, visibility: noteVisibility, author: changedBy });
+    }
+    return this.save();
+};
+
+// Instance method to assign the quote to an admin (or unassign it with null)
+quoteSchema.methods.assign = function (assignee, assignedBy) {
+    this.assignedTo = assignee || undefined;
+    this.assignedAt = assignee ? new Date() : undefined;
+    this.assignedBy = assignee ? assignedBy : undefined;
+    return this.save();
+};
+
+// Instance method to add a note to the notes thread
+quoteSchema.methods.addNote = function (body, { visibility = NOTE_VISIBILITIES.INTERNAL, author } = {}) {
+    this.noteThread.push({ body, visibility, author });
+    return this.save();
+};
+
+// Instance method to edit a note, keeping the previous version in its edit history
+quoteSchema.methods.editNote = function (noteId, { body, visibility }, editedBy) {
+    const note = this.noteThread.id(noteId);
+    note.edits.push({ body: note.body, visibility: note.visibility, editedBy });
+    if (body !== undefined) {
+        note.body = body;
+    }
+    if (visibility !== undefined) {
+        note.visibility = visibility;
     }
     return this.save();
 };
 
 // Instance method to add quote
-quoteSchema.methods.addQuote = function (amount, currency = 'USD') {
+// amount is the upfront (one-time) total; recurring charges come from the price
+// breakdown when one is given, otherwise the existing recurring charges are kept.
+// Manual line-item breakdowns (see calculateLineItemQuote) also store their lines.
+// tax is the result of calculateTax for the upfront amount.
+// Each call is recorded as a new revision by `createdBy` ('system' for automatic quotes)
+// and is valid for `validityDays` from now.
+quoteSchema.methods.addQuote = function (amount, currency = 'USD', priceBreakdown = null, {
+    tax = null,
+    createdBy = 'system',
+    validityDays = QUOTE_VALIDITY.defaultDays
+} = {}) {
     this.quotedAmount = amount;
     this.quotedCurrency = currency;
+    this.tax = tax || undefined;
+    this.validUntil = calculateValidUntil(validityDays);
+    this.expiryReminderSentAt = undefined;
+    this.responseTokenId = randomUUID();
+    if (priceBreakdown?.isManual) {
+        // Line-item quotes are composed by hand; the automatic assessment is kept for reference
+        this.priceBreakdown = priceBreakdown;
+        this.recurringCharges = priceBreakdown.recurringCharges || [];
+        this.lineItems = priceBreakdown.lineItems;
+        this.catalogVersion = undefined;
+        this.exchangeRate = undefined;
+    } else if (priceBreakdown) {
+        this.priceBreakdown = priceBreakdown;
+        this.recurringCharges = priceBreakdown.recurringCharges || [];
+        this.lineItems = [];
+        this.catalogVersion = priceBreakdown.catalogVersion || undefined;
+        this.exchangeRate = priceBreakdown.exchangeRate || undefined;
+        this.complexityAssessment = priceBreakdown.complexityAssessment || undefined;
+        this.budgetFit = priceBreakdown.budgetFit || undefined;
+        if (this.isBundle) {
+            this.services.forEach((item, index) => {
+                item.complexityAssessment = priceBreakdown.services?.[index]?.complexityAssessment || undefined;
+            });
+        }
+    } else {
+        // A single manual amount replaces any line items
+        this.lineItems = [];
+        if (this.exchangeRate?.currency && this.exchangeRate.currency !== currency) {
+            // A manual amount in another currency was not converted with the stored rate
+            this.exchangeRate = undefined;
+        }
+    }
+    if (this.isBundle) {
+        this.allocateBundleAmount(amount, priceBreakdown);
+    }
+    this.firstYearTotal = calculateFirstYearTotal(amount, this.recurringCharges);
+    this.revisions.push({
+        number: this.revisions.length + 1,
+        source: priceBreakdown && !priceBreakdown.isManual ? 'automatic' : 'manual',
+        amount: this.quotedAmount,
+        currency,
+        tax: tax || undefined,
+        recurringCharges: this.recurringCharges.map(charge => charge.toObject()),
+        firstYearTotal: this.firstYearTotal,
+        catalogVersion: this.catalogVersion,
+        priceBreakdown: priceBreakdown || undefined,
+        validUntil: this.validUntil,
+        customerNotes: this.noteThread
+            .filter(note => note.visibility === NOTE_VISIBILITIES.CUSTOMER)
+            .map(note => ({ body: note.body, createdAt: note.createdAt })),
+        createdBy
+    });
+    this.$locals.statusChange = { changedBy: createdBy, note: `Revision ${this.revisions.length} issued` };
     this.status = 'quoted';
     return this.save();
 };
 
+// Instance method to move a quote's expiry date, reopening it if it had expired
+quoteSchema.methods.extendValidity = function (validUntil, changedBy) {
+    this.validUntil = validUntil;
+    this.expiryReminderSentAt = undefined;
+    if (this.status === QUOTE_STATUSES.EXPIRED) {
+        this.$locals.statusChange = { changedBy, note: 'Validity extended' };
+        this.status = QUOTE_STATUSES.QUOTED;
+    }
+    return this.save();
+};
+
+// Instance method to record the customer's accept/decline response
+quoteSchema.methods.recordCustomerResponse = function (status, reason = '') {
+    this.$locals.statusChange = { changedBy: 'customer', note: reason };
+    this.status = status;
+    this.customerResponse = {
+        action: status,
+        reason: reason || undefined,
+        revision: this.currentRevision,
+        respondedAt: new Date()
+    };
+    this.responseTokenId = undefined;
+    return this.save();
+};
+
+// Instance method to work out how long the quote spent in each status
+// Quotes created before the history was kept are timed from their first recorded change.
+quoteSchema.methods.getStageDurations = function (now = new Date()) {
+    const stages = this.statusHistory.map((entry, index) => {
+        const leftAt = this.statusHistory[index + 1]?.changedAt || null;
+        return {
+            status: entry.to,
+            enteredAt: entry.changedAt,
+            leftAt,
+            durationMs: (leftAt || now).getTime() - entry.changedAt.getTime()
+        };
+    });
+
+    const totals = {};
+    stages.forEach(stage => {
+        totals[stage.status] = (totals[stage.status] || 0) + stage.durationMs;
+    });
+
+    return { stages, totals };
+};
+
+// Instance method to add uploaded attachments
+quoteSchema.methods.addAttachments = function (attachments) {
+    this.attachments.push(...attachments);
+    return this.save();
+};
+
+// Instance method to move the quote to the trash
+quoteSchema.methods.moveToTrash = function (deletedBy) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    return this.save();
+};
+
+// Instance method to take the quote back out of the trash
+quoteSchema.methods.restoreFromTrash = function () {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+};
+
+// Instance method to merge a duplicate request into this one
+// The duplicate's notes and attachments are copied over, its description is kept as an internal note,
+// and the duplicate is moved to the trash pointing at this quote.
+quoteSchema.methods.mergeDuplicate = async function (duplicate, mergedBy) {
+    const summary = `Merged duplicate request ${duplicate._id} submitted ${duplicate.createdAt.toISOString()}:\n${duplicate.description}`;
+
+    this.noteThread.push(
+        ...duplicate.noteThread.map(note => note.toObject()),
+        { body: summary.slice(0, 2000), author: mergedBy }
+    );
+    this.attachments.push(...duplicate.attachments.map(attachment => attachment.toObject()));
+    this.mergedFrom.push(duplicate._id);
+    await this.save();
+
+    // The files now belong to this quote, so purging the duplicate must not remove them
+    duplicate.attachments = [];
+    duplicate.mergedInto = this._id;
+    await duplicate.moveToTrash(mergedBy);
+
+    return this;
+};
+
+// Instance method to get a revision by its number
+quoteSchema.methods.getRevision = function (number) {
+    return this.revisions.find(revision => revision.number === number) || null;
+};
+
+// Instance method to replace the tax on the quoted amount (e.g. after an exemption changes)
+quoteSchema.methods.applyTax = function (tax) {
+    this.tax = tax;
+    if (this.priceBreakdown) {
+        this.priceBreakdown = { ...this.priceBreakdown, tax };
+    }
+    return this.save();
+};
+
+// Instance method to split a bundle's upfront amount across its services
+// in proportion to each service's priced share (or its previous share)
+quoteSchema.methods.allocateBundleAmount = function (amount, priceBreakdown = null) {
+    const weights = this.services.map((item, index) =>
+        priceBreakdown?.services?.[index]?.upfrontTotal ?? item.quotedAmount ?? 0
+    );
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let allocated = 0;
+    this.services.forEach((item, index) => {
+        if (index === this.services.length - 1) {
+            item.quotedAmount = amount - allocated;
+            return;
+        }
+        const share = totalWeight > 0 ? weights[index] / totalWeight : 1 / this.services.length;
+        item.quotedAmount = Math.round(amount * share);
+        allocated += item.quotedAmount;
+    });
+};
+
 // Create and export the model
 const Quote = mongoose.model('Quote', quoteSchema);
 
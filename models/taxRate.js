@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import { DEFAULT_TAX_RATES } from '../constants/services.js';
+
+// Define the tax rate schema
+// One document per country or currency; rules without a document use DEFAULT_TAX_RATES.
+const taxRateSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        required: [true, 'Tax scope is required'],
+        enum: {
+            values: ['country', 'currency'],
+            message: 'Tax scope must be country or currency'
+        }
+    },
+    code: {
+        type: String,
+        required: [true, 'Country or currency code is required'],
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{2,3}$/, 'Please enter a valid country or currency code']
+    },
+    name: {
+        type: String,
+        required: [true, 'Tax name is required'],
+        trim: true,
+        maxlength: [50, 'Tax name cannot exceed 50 characters']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Tax rate is required'],
+        min: [0, 'Tax rate cannot be negative'],
+        max: [1, 'Tax rate must be a fraction between 0 and 1']
+    },
+    updatedBy: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+taxRateSchema.index({ scope: 1, code: 1 }, { unique: true });
+
+// Static method to get the full tax table, falling back to default rules
+taxRateSchema.statics.getTaxTable = async function () {
+    const overrides = await this.find().lean();
+    const table = structuredClone(DEFAULT_TAX_RATES);
+
+    overrides.forEach(override => {
+        table[override.scope][override.code] = {
+            name: override.name,
+            rate: override.rate
+        };
+    });
+
+    return table;
+};
+
+// Static method to find the tax rule for a quote (country first, then currency)
+taxRateSchema.statics.findApplicable = async function ({ country, currency } = {}) {
+    const table = await this.getTaxTable();
+
+    if (country && table.country[country]) {
+        return { ...table.country[country], scope: 'country', code: country };
+    }
+    if (currency && table.currency[currency]) {
+        return { ...table.currency[currency], scope: 'currency', code: currency };
+    }
+    return null;
+};
+
+// Static method to set the tax rule for a country or currency
+taxRateSchema.statics.setRate = function (scope, code, { name, rate, updatedBy } = {}) {
+    return this.findOneAndUpdate(
+        { scope, code },
+        { $set: { name, rate, updatedBy } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Create and export the model
+const TaxRate = mongoose.model('TaxRate', taxRateSchema);
+
+export default TaxRate;
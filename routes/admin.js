@@ -5,6 +5,48 @@ import { authenticate, authorizeAdmin } from '../middleware/auth.js';
 import { verifyEmailConfig, sendTestEmail } from '../utils/nodemailer.js';
 import { checkDatabaseHealth, getConnectionStatus } from '../database/mongodb.js';
 import Quote from '../models/quote.js';
+import ExchangeRate from '../models/exchangeRate.js';
+import TaxRate from '../models/taxRate.js';
+import PriorityRules from '../models/priorityRules.js';
+import { CURRENCIES, QUOTE_STATUSES, NOTE_VISIBILITIES, SLA_STATES } from '../constants/services.js';
+import { runQuoteExpiryCheck } from '../utils/quoteExpiry.js';
+import { validatePriorityRules } from '../utils/priority.js';
+import { getSlaStatus } from '../utils/sla.js';
+import {
+    getCatalog,
+    getCatalogVersions,
+    getCatalogVersion,
+    getCatalogService,
+    createCatalogService,
+    updateCatalogService,
+    deleteCatalogService,
+    updateCatalogAddon,
+    getServiceScoring,
+    updateServiceScoring,
+    dryRunServiceScoring
+} from '../controllers/catalog.js';
+import {
+    getCustomers,
+    getCustomerById,
+    updateCustomer,
+    mergeCustomers
+} from '../controllers/customer.js';
+import {
+    validateCreateCatalogService,
+    validateUpdateCatalogService,
+    validateUpdateCatalogAddon,
+    validateCatalogKey,
+    validateCatalogVersionParam,
+    validateUpdateExchangeRate,
+    validateUpdateTaxRate,
+    validateUpdateServiceScoring,
+    validateScoringDryRun,
+    validateUpdatePriorityRules,
+    validateObjectId,
+    validateCustomerQuery,
+    validateUpdateCustomer,
+    validateMergeCustomers
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -26,27 +68,19 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     const acceptedQuotes = await Quote.countDocuments({ status: 'accepted' });
     const completedQuotes = await Quote.countDocuments({ status: 'completed' });
     const rejectedQuotes = await Quote.countDocuments({ status: 'rejected' });
+    const bundleQuotes = await Quote.countDocuments({ isBundle: true });
 
     // Get recent quotes
     const recentQuotes = await Quote.find()
         .sort({ createdAt: -1 })
         .limit(10)
-        .select('name email service status createdAt budget currency');
+        .select('name email service services.service isBundle status createdAt budget currency');
 
-    // Get quotes by service
-    const serviceStats = await Quote.aggregate([
-        {
-            $group: {
-                _id: '$service',
-                count: { $sum: 1 },
-                avgBudget: { $avg: '$budget' },
-                totalRevenue: { $sum: '$quotedAmount' }
-            }
-        },
-        {
-            $sort: { count: -1 }
-        }
-    ]);
+    // Get quotes by service (each service in a bundle is counted, with its share of the revenue)
+    const serviceStats = await Quote.aggregateByService({
+        avgBudget: { $avg: '$budget' },
+        totalRevenue: { $sum: '$entry.quotedAmount' }
+    });
 
     // Get monthly statistics
     const monthlyStats = await Quote.aggregate([
@@ -68,6 +102,10 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
         }
     ]);
 
+    // Get SLA attainment over the last 30 days
+    const slaPeriodDays = 30;
+    const slaAttainment = await Quote.getSlaAttainment(new Date(Date.now() - slaPeriodDays * 24 * 60 * 60 * 1000));
+
     res.json({
         success: true,
         message: 'Dashboard data retrieved successfully',
@@ -78,11 +116,58 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
                 quotedQuotes,
                 acceptedQuotes,
                 completedQuotes,
-                rejectedQuotes
+                rejectedQuotes,
+                bundleQuotes
             },
             recentQuotes,
             serviceStats,
-            monthlyStats
+            monthlyStats,
+            sla: {
+                periodDays: slaPeriodDays,
+                ...slaAttainment
+            }
+        }
+    });
+}));
+
+/**
+ * @route   GET /api/admin/sla
+ * @desc    List open quotes at risk of missing or in breach of their response-time SLA
+ * @access  Private (Admin only)
+ * @params  ?state=at_risk|breached (both by default)
+ */
+router.get('/sla', asyncHandler(async (req, res) => {
+    const { state } = req.query;
+    const reportedStates = [SLA_STATES.AT_RISK, SLA_STATES.BREACHED];
+
+    if (state !== undefined && !reportedStates.includes(state)) {
+        return res.status(400).json({
+            success: false,
+            message: `State must be one of ${reportedStates.join(', ')}`
+        });
+    }
+
+    const now = new Date();
+    const quotes = (await Quote.findAwaitingSla())
+        .map(quote => {
+            const slaStatus = getSlaStatus(quote, now);
+            // Only targets not yet reached can be at risk or in breach; breach outranks risk
+            const openStates = [slaStatus.firstResponse, slaStatus.quote]
+                .filter(target => !target.doneAt)
+                .map(target => target.state);
+            const slaState = [SLA_STATES.BREACHED, SLA_STATES.AT_RISK].find(reported => openStates.includes(reported)) || null;
+
+            return { ...quote, slaStatus, slaState };
+        })
+        .filter(quote => quote.slaState && (!state || quote.slaState === state));
+
+    res.json({
+        success: true,
+        message: 'SLA report retrieved successfully',
+        data: {
+            atRisk: quotes.filter(quote => quote.slaState === SLA_STATES.AT_RISK).length,
+            breached: quotes.filter(quote => quote.slaState === SLA_STATES.BREACHED).length,
+            quotes
         }
     });
 }));
@@ -152,12 +237,13 @@ router.post('/test-email', asyncHandler(async (req, res) => {
  * @access  Private (Admin only)
  */
 router.get('/quotes/export', asyncHandler(async (req, res) => {
-    const { format = 'json', status, service, startDate, endDate } = req.query;
+    const { format = 'json', status, service, bundle, startDate, endDate } = req.query;
 
     // Build filter
     const filter = {};
     if (status) filter.status = status;
-    if (service) filter.service = service;
+    if (service) Object.assign(filter, Quote.serviceFilter(service));
+    if (bundle !== undefined) filter.isBundle = bundle === 'true';
     if (startDate || endDate) {
         filter.createdAt = {};
         if (startDate) filter.createdAt.$gte = new Date(startDate);
@@ -171,9 +257,10 @@ router.get('/quotes/export', asyncHandler(async (req, res) => {
     if (format === 'csv') {
         // Convert to CSV format
         const csvHeaders = [
-            'ID', 'Name', 'Email', 'Phone', 'Company', 'Service',
+            'ID', 'Name', 'Email', 'Phone', 'Company', 'Service', 'Bundle', 'Bundled Services',
             'Timeline', 'Budget', 'Currency', 'Status', 'Quoted Amount',
-            'Created At', 'Updated At'
+            'Complexity', 'Complexity Score', 'Country', 'Tax Exempt', 'Net Amount', 'Tax', 'Gross Amount',
+            'Valid Until', 'Created At', 'Updated At'
         ];
 
         const csvRows = quotes.map(quote => [
@@ -183,11 +270,21 @@ router.get('/quotes/export', asyncHandler(async (req, res) => {
             quote.phone,
             quote.company || '',
             quote.service,
+            quote.isBundle ? 'Yes' : 'No',
+            quote.isBundle ? quote.services.map(item => item.service).join(' + ') : '',
             quote.timeline,
             quote.budget,
             quote.currency,
             quote.status,
             quote.quotedAmount || '',
+            quote.complexityAssessment?.level || '',
+            quote.complexityAssessment?.score ?? '',
+            quote.country || '',
+            quote.taxExempt ? 'Yes' : 'No',
+            quote.tax?.net ?? '',
+            quote.tax?.amount ?? '',
+            quote.tax?.gross ?? '',
+            quote.validUntil || '',
             quote.createdAt,
             quote.updatedAt
         ]);
@@ -214,7 +311,7 @@ router.get('/quotes/export', asyncHandler(async (req, res) => {
 
 /**
  * @route   DELETE /api/admin/quotes/bulk-delete
- * @desc    Bulk delete quotes
+ * @desc    Bulk move quotes to the trash
  * @access  Private (Admin only)
  */
 router.delete('/quotes/bulk-delete', asyncHandler(async (req, res) => {
@@ -227,15 +324,13 @@ router.delete('/quotes/bulk-delete', asyncHandler(async (req, res) => {
         });
     }
 
-    const result = await Quote.deleteMany({
-        _id: { $in: quoteIds }
-    });
+    const result = await Quote.moveManyToTrash(quoteIds, req.user?.email);
 
     res.json({
         success: true,
-        message: `${result.deletedCount} quotes deleted successfully`,
+        message: `${result.modifiedCount} quotes moved to trash`,
         data: {
-            deletedCount: result.deletedCount
+            deletedCount: result.modifiedCount
         }
     });
 }));
@@ -246,7 +341,7 @@ router.delete('/quotes/bulk-delete', asyncHandler(async (req, res) => {
  * @access  Private (Admin only)
  */
 router.patch('/quotes/bulk-update-status', asyncHandler(async (req, res) => {
-    const { quoteIds, status, notes } = req.body;
+    const { quoteIds, status, notes, noteVisibility, override, overrideReason } = req.body;
 
     if (!Array.isArray(quoteIds) || quoteIds.length === 0) {
         return res.status(400).json({
@@ -255,7 +350,7 @@ router.patch('/quotes/bulk-update-status', asyncHandler(async (req, res) => {
         });
     }
 
-    const validStatuses = ['pending', 'reviewed', 'quoted', 'accepted', 'rejected', 'completed'];
+    const validStatuses = Object.values(QUOTE_STATUSES);
     if (!validStatuses.includes(status)) {
         return res.status(400).json({
             success: false,
@@ -263,21 +358,301 @@ router.patch('/quotes/bulk-update-status', asyncHandler(async (req, res) => {
         });
     }
 
-    const updateData = { status };
-    if (notes) updateData.notes = notes;
+    if (noteVisibility !== undefined && !Object.values(NOTE_VISIBILITIES).includes(noteVisibility)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Note visibility must be internal or customer'
+        });
+    }
 
-    const result = await Quote.updateMany(
-        { _id: { $in: quoteIds } },
-        updateData
-    );
+    const isOverride = override === true || override === 'true';
+    if (isOverride && (typeof overrideReason !== 'string' || !overrideReason.trim())) {
+        return res.status(400).json({
+            success: false,
+            message: 'A reason is required to override the status workflow'
+        });
+    }
+
+    const quotes = await Quote.find({ _id: { $in: quoteIds } });
+
+    // Without an override, nothing is updated unless every quote may make the move
+    const invalidMoves = quotes
+        .filter(quote => quote.status !== status && !quote.allowedStatuses.includes(status))
+        .map(quote => ({
+            id: quote._id,
+            currentStatus: quote.status,
+            allowedStatuses: quote.allowedStatuses
+        }));
+
+    if (invalidMoves.length > 0 && !isOverride) {
+        return res.status(409).json({
+            success: false,
+            message: `${invalidMoves.length} quotes cannot be moved to ${status}`,
+            data: { invalidMoves }
+        });
+    }
+
+    let modifiedCount = 0;
+    for (const quote of quotes) {
+        if (quote.status === status && !notes) {
+            continue;
+        }
+        await quote.updateStatus(status, notes, {
+            overrideReason: isOverride ? overrideReason.trim() : undefined,
+            changedBy: req.user?.email,
+            noteVisibility
+        });
+        modifiedCount++;
+    }
 
     res.json({
         success: true,
-        message: `${result.modifiedCount} quotes updated successfully`,
+        message: `${modifiedCount} quotes updated successfully`,
         data: {
-            modifiedCount: result.modifiedCount
+            modifiedCount
         }
     });
 }));
 
+/**
+ * @route   POST /api/admin/quotes/expiry-check
+ * @desc    Expire overdue quotes and send expiry reminders now (also runs on a schedule)
+ * @access  Private (Admin only)
+ */
+router.post('/quotes/expiry-check', asyncHandler(async (req, res) => {
+    const result = await runQuoteExpiryCheck();
+
+    res.json({
+        success: true,
+        message: `${result.expired} quotes expired, ${result.reminded} reminders sent`,
+        data: result
+    });
+}));
+
+/**
+ * @route   GET /api/admin/customers
+ * @desc    Search customers by name, email or company, and by tag
+ * @access  Private (Admin only)
+ * @params  ?page=1&limit=10&search=acme&tag=vip
+ */
+router.get('/customers', validateCustomerQuery, asyncHandler(getCustomers));
+
+/**
+ * @route   GET /api/admin/customers/:id
+ * @desc    Get a customer with all their quotes and lifetime value
+ * @access  Private (Admin only)
+ */
+router.get('/customers/:id', validateObjectId, asyncHandler(getCustomerById));
+
+/**
+ * @route   PATCH /api/admin/customers/:id
+ * @desc    Update a customer's name, phone, company or tags
+ * @access  Private (Admin only)
+ */
+router.patch('/customers/:id', validateUpdateCustomer, asyncHandler(updateCustomer));
+
+/**
+ * @route   POST /api/admin/customers/:id/merge
+ * @desc    Merge another customer (`customerId`) and their quotes into this one
+ * @access  Private (Admin only)
+ */
+router.post('/customers/:id/merge', validateMergeCustomers, asyncHandler(mergeCustomers));
+
+/**
+ * @route   GET /api/admin/services
+ * @desc    Get the service catalog currently in effect
+ * @access  Private (Admin only)
+ */
+router.get('/services', asyncHandler(getCatalog));
+
+/**
+ * @route   GET /api/admin/services/versions
+ * @desc    List catalog versions
+ * @access  Private (Admin only)
+ */
+router.get('/services/versions', asyncHandler(getCatalogVersions));
+
+/**
+ * @route   GET /api/admin/services/versions/:version
+ * @desc    Get a specific catalog version (services and add-on pricing)
+ * @access  Private (Admin only)
+ */
+router.get('/services/versions/:version', validateCatalogVersionParam, asyncHandler(getCatalogVersion));
+
+/**
+ * @route   PUT /api/admin/services/addons/:key
+ * @desc    Create or replace add-on pricing (publishes a new catalog version)
+ * @access  Private (Admin only)
+ */
+router.put('/services/addons/:key', validateUpdateCatalogAddon, asyncHandler(updateCatalogAddon));
+
+/**
+ * @route   GET /api/admin/services/:key/scoring
+ * @desc    Get a service's complexity-scoring rules (its own or the defaults)
+ * @access  Private (Admin only)
+ */
+router.get('/services/:key/scoring', validateCatalogKey, asyncHandler(getServiceScoring));
+
+/**
+ * @route   PUT /api/admin/services/:key/scoring
+ * @desc    Replace a service's scoring rules, or reset them with null (publishes a new catalog version)
+ * @access  Private (Admin only)
+ */
+router.put('/services/:key/scoring', validateUpdateServiceScoring, asyncHandler(updateServiceScoring));
+
+/**
+ * @route   POST /api/admin/services/:key/scoring/dry-run
+ * @desc    Show how scoring rules would classify a sample quote payload
+ * @access  Private (Admin only)
+ */
+router.post('/services/:key/scoring/dry-run', validateScoringDryRun, asyncHandler(dryRunServiceScoring));
+
+/**
+ * @route   GET /api/admin/services/:key
+ * @desc    Get a catalog service by key
+ * @access  Private (Admin only)
+ */
+router.get('/services/:key', validateCatalogKey, asyncHandler(getCatalogService));
+
+/**
+ * @route   POST /api/admin/services
+ * @desc    Add a service to the catalog (publishes a new catalog version)
+ * @access  Private (Admin only)
+ */
+router.post('/services', validateCreateCatalogService, asyncHandler(createCatalogService));
+
+/**
+ * @route   PUT /api/admin/services/:key
+ * @desc    Update a catalog service (publishes a new catalog version)
+ * @access  Private (Admin only)
+ */
+router.put('/services/:key', validateUpdateCatalogService, asyncHandler(updateCatalogService));
+
+/**
+ * @route   DELETE /api/admin/services/:key
+ * @desc    Remove a service from the catalog (publishes a new catalog version)
+ * @access  Private (Admin only)
+ */
+router.delete('/services/:key', validateCatalogKey, asyncHandler(deleteCatalogService));
+
+/**
+ * @route   GET /api/admin/exchange-rates
+ * @desc    Get the exchange-rate table used to price non-base currencies
+ * @access  Private (Admin only)
+ */
+router.get('/exchange-rates', asyncHandler(async (req, res) => {
+    const rateTable = await ExchangeRate.getRateTable();
+
+    res.json({
+        success: true,
+        message: 'Exchange rates retrieved successfully',
+        data: {
+            ...rateTable,
+            currencies: CURRENCIES
+        }
+    });
+}));
+
+/**
+ * @route   PUT /api/admin/exchange-rates/:currency
+ * @desc    Set the exchange rate (units per 1 base-currency unit) and rounding for a currency
+ * @access  Private (Admin only)
+ */
+router.put('/exchange-rates/:currency', validateUpdateExchangeRate, asyncHandler(async (req, res) => {
+    const { currency } = req.params;
+    const { rate, rounding } = req.body;
+
+    const exchangeRate = await ExchangeRate.setRate(currency, {
+        rate: parseFloat(rate),
+        rounding: rounding !== undefined ? parseFloat(rounding) : undefined,
+        updatedBy: req.user?.email
+    });
+
+    res.json({
+        success: true,
+        message: `${currency} exchange rate updated successfully`,
+        data: exchangeRate
+    });
+}));
+
+/**
+ * @route   GET /api/admin/tax-rates
+ * @desc    Get the tax rules applied by country and by currency
+ * @access  Private (Admin only)
+ */
+router.get('/tax-rates', asyncHandler(async (req, res) => {
+    const taxTable = await TaxRate.getTaxTable();
+
+    res.json({
+        success: true,
+        message: 'Tax rates retrieved successfully',
+        data: taxTable
+    });
+}));
+
+/**
+ * @route   PUT /api/admin/tax-rates/:scope/:code
+ * @desc    Set the tax name and rate for a country or currency
+ * @access  Private (Admin only)
+ */
+router.put('/tax-rates/:scope/:code', validateUpdateTaxRate, asyncHandler(async (req, res) => {
+    const { scope, code } = req.params;
+    const { name, rate } = req.body;
+
+    const taxRate = await TaxRate.setRate(scope, code, {
+        name,
+        rate: parseFloat(rate),
+        updatedBy: req.user?.email
+    });
+
+    res.json({
+        success: true,
+        message: `${code} tax rate updated successfully`,
+        data: taxRate
+    });
+}));
+
+/**
+ * @route   GET /api/admin/priority-rules
+ * @desc    Get the rules used to triage new quote requests (the admin's or the defaults)
+ * @access  Private (Admin only)
+ */
+router.get('/priority-rules', asyncHandler(async (req, res) => {
+    const priorityRules = await PriorityRules.getRules();
+
+    res.json({
+        success: true,
+        message: 'Priority rules retrieved successfully',
+        data: priorityRules
+    });
+}));
+
+/**
+ * @route   PUT /api/admin/priority-rules
+ * @desc    Replace the priority triage rules, or restore the defaults with null
+ * @access  Private (Admin only)
+ */
+router.put('/priority-rules', validateUpdatePriorityRules, asyncHandler(async (req, res) => {
+    const { rules } = req.body;
+
+    if (rules !== null) {
+        const errors = validatePriorityRules(rules);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid priority rules',
+                errors
+            });
+        }
+    }
+
+    const priorityRules = await PriorityRules.setRules(rules, req.user?.email);
+
+    res.json({
+        success: true,
+        message: rules === null ? 'Priority rules restored to the defaults' : 'Priority rules saved successfully',
+        data: priorityRules
+    });
+}));
+
 export default router;
\ No newline at end of file
@@ -1,18 +1,52 @@
 import express from 'express';
 import {
     getAllQuotes,
+    getMyQuotes,
     getQuoteById,
+    getQuoteComplexity,
+    getQuoteRevisions,
+    diffQuoteRevisions,
     createQuote,
     updateQuoteStatus,
     addQuoteAmount,
+    updateQuoteTax,
+    extendQuoteValidity,
+    reissueQuote,
+    assignQuote,
+    getQuoteNotes,
+    addQuoteNote,
+    updateQuoteNote,
     deleteQuote,
+    getTrashedQuotes,
+    getDuplicateQuotes,
+    mergeDuplicateQuote,
+    restoreQuote,
+    purgeQuote,
     getQuotesByService,
     getQuoteStats
 } from '../controllers/quote.js';
+import { getQuoteResponsePage, submitQuoteResponse } from '../controllers/quoteResponse.js';
+import { getQuotePdf, downloadQuoteDocument } from '../controllers/quoteDocument.js';
+import {
+    uploadQuoteAttachments,
+    getQuoteAttachments,
+    downloadQuoteAttachment,
+    downloadAttachmentFromLink
+} from '../controllers/attachment.js';
+import { verifyUploadLink, uploadAttachments } from '../middleware/upload.js';
 import {
     validateCreateQuote,
     validateUpdateStatus,
     validateAddQuote,
+    validateUpdateQuoteTax,
+    validateRevisionDiff,
+    validateQuotePdf,
+    validateQuoteResponse,
+    validateExtendValidity,
+    validateReissueQuote,
+    validateAssignQuote,
+    validateQuoteNote,
+    validateUpdateQuoteNote,
     validateObjectId,
     validateQueryParams,
     validateServiceParam
@@ -20,6 +54,8 @@ import {
 import {
     generalLimiter,
     createQuoteLimiter,
+    attachmentUploadLimiter,
+    quoteResponseLimiter,
     adminLimiter
 } from '../middleware/rateLimiter.js';
 import {
@@ -38,7 +74,7 @@ router.use(generalLimiter);
  * @route   GET /api/quotes
  * @desc    Get all quotes with pagination and filtering
  * @access  Private (Admin only)
- * @params  ?page=1&limit=10&status=pending&service=Web Development&sortBy=createdAt&sortOrder=desc
+ * @params  ?page=1&limit=10&status=pending&service=Web Development&assignedTo=unassigned&sortBy=createdAt&sortOrder=desc
  */
 router.get('/',
     adminLimiter,
@@ -48,6 +84,48 @@ router.get('/',
     asyncHandler(getAllQuotes)
 );
 
+/**
+ * @route   GET /api/quotes/mine
+ * @desc    Get the logged-in admin's queue (open quotes assigned to them unless ?status is given)
+ * @access  Private (Admin only)
+ * @params  ?page=1&limit=10&status=quoted&sortBy=createdAt&sortOrder=asc
+ */
+router.get('/mine',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateQueryParams,
+    asyncHandler(getMyQuotes)
+);
+
+/**
+ * @route   GET /api/quotes/trash
+ * @desc    Get the quotes in the trash
+ * @access  Private (Admin only)
+ * @params  ?page=1&limit=10&status=pending&sortBy=deletedAt&sortOrder=desc
+ */
+router.get('/trash',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateQueryParams,
+    asyncHandler(getTrashedQuotes)
+);
+
+/**
+ * @route   GET /api/quotes/duplicates
+ * @desc    Get the requests suspected of repeating an earlier one
+ * @access  Private (Admin only)
+ * @params  ?page=1&limit=10&status=pending&sortBy=createdAt&sortOrder=desc
+ */
+router.get('/duplicates',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateQueryParams,
+    asyncHandler(getDuplicateQuotes)
+);
+
 /**
  * @route   GET /api/quotes/stats
  * @desc    Get quote statistics and analytics
@@ -88,13 +166,117 @@ router.get('/:id',
     asyncHandler(getQuoteById)
 );
 
+/**
+ * @route   GET /api/quotes/:id/complexity
+ * @desc    Get the complexity score and contributing factors behind a quote
+ * @access  Private (Admin only)
+ */
+router.get('/:id/complexity',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateObjectId,
+    asyncHandler(getQuoteComplexity)
+);
+
+/**
+ * @route   GET /api/quotes/:id/revisions
+ * @desc    List every quote revision issued to the customer
+ * @access  Private (Admin only)
+ */
+router.get('/:id/revisions',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateObjectId,
+    asyncHandler(getQuoteRevisions)
+);
+
+/**
+ * @route   GET /api/quotes/:id/revisions/diff
+ * @desc    Compare two revisions (?from=1&to=2, defaults to the latest two)
+ * @access  Private (Admin only)
+ */
+router.get('/:id/revisions/diff',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateRevisionDiff,
+    asyncHandler(diffQuoteRevisions)
+);
+
+/**
+ * @route   GET /api/quotes/:id/pdf
+ * @desc    Download the quotation PDF (?revision=2, defaults to the current revision)
+ * @access  Private (Admin only)
+ */
+router.get('/:id/pdf',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateQuotePdf,
+    asyncHandler(getQuotePdf)
+);
+
+/**
+ * @route   GET /api/quotes/respond/:token
+ * @desc    Confirmation page for the accept/decline links in the quote email
+ * @access  Public (signed, single-use link)
+ */
+router.get('/respond/:token',
+    asyncHandler(getQuoteResponsePage)
+);
+
+/**
+ * @route   POST /api/quotes/respond/:token
+ * @desc    Accept or decline a quote (declining takes an optional `reason`)
+ * @access  Public (signed, single-use link)
+ */
+router.post('/respond/:token',
+    quoteResponseLimiter,
+    validateQuoteResponse,
+    asyncHandler(submitQuoteResponse)
+);
+
+/**
+ * @route   GET /api/quotes/document/:token
+ * @desc    Download the quotation PDF from the link in the quote email
+ * @access  Public (signed link)
+ */
+router.get('/document/:token',
+    asyncHandler(downloadQuoteDocument)
+);
+
+/**
+ * @route   POST /api/quotes/attachments/upload/:token
+ * @desc    Add files to a quote request (multipart, files in `attachments`)
+ * @access  Public (signed link returned when the request is submitted)
+ */
+router.post('/attachments/upload/:token',
+    attachmentUploadLimiter,
+    verifyUploadLink,
+    uploadAttachments,
+    asyncHandler(uploadQuoteAttachments)
+);
+
+/**
+ * @route   GET /api/quotes/attachments/download/:token
+ * @desc    Download an attachment from a link in an admin email
+ * @access  Public (signed link)
+ */
+router.get('/attachments/download/:token',
+    asyncHandler(downloadAttachmentFromLink)
+);
+
 /**
  * @route   POST /api/quotes
  * @desc    Create a new quote request (automatically generates and sends quote)
+ * JSON, or multipart with files in `attachments` and the quote as form fields or JSON in `quote`
  * @access  Public (with rate limiting)
  */
 router.post('/',
     createQuoteLimiter,
+    uploadAttachments,
     validateCreateQuote,
     asyncHandler(createQuote)
 );
@@ -125,9 +307,126 @@ router.patch('/:id/quote',
     asyncHandler(addQuoteAmount)
 );
 
+/**
+ * @route   PATCH /api/quotes/:id/tax
+ * @desc    Update tax exemption and country, recalculating tax on the quoted amount
+ * @access  Private (Admin only)
+ */
+router.patch('/:id/tax',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateUpdateQuoteTax,
+    asyncHandler(updateQuoteTax)
+);
+
+/**
+ * @route   PATCH /api/quotes/:id/validity
+ * @desc    Extend a quote's validity (`validUntil` or extra `days`), reopening an expired quote
+ * @access  Private (Admin only)
+ */
+router.patch('/:id/validity',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateExtendValidity,
+    asyncHandler(extendQuoteValidity)
+);
+
+/**
+ * @route   POST /api/quotes/:id/reissue
+ * @desc    Re-issue a quote as a new revision (optionally repriced from the current catalog)
+ * @access  Private (Admin only)
+ */
+router.post('/:id/reissue',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateReissueQuote,
+    asyncHandler(reissueQuote)
+);
+
+/**
+ * @route   PATCH /api/quotes/:id/assign
+ * @desc    Assign, reassign or unassign (`assignedTo: null`) a quote
+ * @access  Private (Admin only)
+ */
+router.patch('/:id/assign',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateAssignQuote,
+    asyncHandler(assignQuote)
+);
+
+/**
+ * @route   GET /api/quotes/:id/notes
+ * @desc    Get a quote's notes thread
+ * @access  Private (Admin only)
+ */
+router.get('/:id/notes',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateObjectId,
+    asyncHandler(getQuoteNotes)
+);
+
+/**
+ * @route   POST /api/quotes/:id/notes
+ * @desc    Add an internal or customer-visible note to a quote
+ * @access  Private (Admin only)
+ */
+router.post('/:id/notes',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateQuoteNote,
+    asyncHandler(addQuoteNote)
+);
+
+/**
+ * @route   PATCH /api/quotes/:id/notes/:noteId
+ * @desc    Edit a note's text or visibility, keeping its edit history
+ * @access  Private (Admin only)
+ */
+router.patch('/:id/notes/:noteId',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateUpdateQuoteNote,
+    asyncHandler(updateQuoteNote)
+);
+
+/**
+ * @route   GET /api/quotes/:id/attachments
+ * @desc    Get the files attached to a quote
+ * @access  Private (Admin only)
+ */
+router.get('/:id/attachments',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateObjectId,
+    asyncHandler(getQuoteAttachments)
+);
+
+/**
+ * @route   GET /api/quotes/:id/attachments/:attachmentId
+ * @desc    Download a file attached to a quote
+ * @access  Private (Admin only)
+ */
+router.get('/:id/attachments/:attachmentId',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateObjectId,
+    asyncHandler(downloadQuoteAttachment)
+);
+
 /**
  * @route   DELETE /api/quotes/:id
- * @desc    Delete a quote request
+ * @desc    Move a quote request to the trash
  * @access  Private (Admin only)
  */
 router.delete('/:id',
@@ -138,4 +437,43 @@ router.delete('/:id',
     asyncHandler(deleteQuote)
 );
 
+/**
+ * @route   POST /api/quotes/:id/merge
+ * @desc    Merge a suspected duplicate into the request it repeats
+ * @access  Private (Admin only)
+ */
+router.post('/:id/merge',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateObjectId,
+    asyncHandler(mergeDuplicateQuote)
+);
+
+/**
+ * @route   POST /api/quotes/:id/restore
+ * @desc    Take a quote request back out of the trash
+ * @access  Private (Admin only)
+ */
+router.post('/:id/restore',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateObjectId,
+    asyncHandler(restoreQuote)
+);
+
+/**
+ * @route   DELETE /api/quotes/:id/purge
+ * @desc    Permanently delete a quote request from the trash
+ * @access  Private (Admin only)
+ */
+router.delete('/:id/purge',
+    adminLimiter,
+    authenticate,
+    authorizeAdmin,
+    validateObjectId,
+    asyncHandler(purgeQuote)
+);
+
 export default router;
\ No newline at end of file
@@ -4,10 +4,15 @@ import {
     getServicesByCategory,
     getServiceByName,
     calculateEstimatedPrice,
+    calculateTax,
     SERVICE_CATEGORIES,
     TIMELINES,
-    CURRENCIES
+    CURRENCIES,
+    CUSTOMER_TYPES
 } from '../constants/services.js';
+import CatalogVersion from '../models/catalogVersion.js';
+import ExchangeRate from '../models/exchangeRate.js';
+import TaxRate from '../models/taxRate.js';
 import { generalLimiter } from '../middleware/rateLimiter.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { query, param, validationResult } from 'express-validator';
@@ -38,12 +43,14 @@ const handleValidationErrors = (req, res, next) => {
  * @access  Public
  */
 router.get('/', asyncHandler(async (req, res) => {
-    const services = getAllServices();
+    const catalog = await CatalogVersion.getActive();
+    const services = getAllServices(catalog.services);
 
     res.json({
         success: true,
         message: 'Services retrieved successfully',
         data: {
+            catalogVersion: catalog.version,
             services,
             categories: Object.values(SERVICE_CATEGORIES),
             timelines: TIMELINES,
@@ -79,7 +86,8 @@ router.get('/category/:category', [
     handleValidationErrors
 ], asyncHandler(async (req, res) => {
     const { category } = req.params;
-    const services = getServicesByCategory(category);
+    const catalog = await CatalogVersion.getActive();
+    const services = getServicesByCategory(category, catalog.services);
 
     res.json({
         success: true,
@@ -98,7 +106,8 @@ router.get('/category/:category', [
  */
 router.get('/:serviceName', asyncHandler(async (req, res) => {
     const { serviceName } = req.params;
-    const service = getServiceByName(serviceName);
+    const catalog = await CatalogVersion.getActive();
+    const service = getServiceByName(serviceName, catalog.services);
 
     if (!service) {
         return res.status(404).json({
@@ -129,8 +138,25 @@ router.post('/calculate-price', [
         .withMessage('Complexity must be basic, intermediate, or advanced'),
     query('currency')
         .optional()
-        .isIn(['USD', 'KES'])
-        .withMessage('Currency must be USD or KES'),
+        .isIn(Object.keys(CURRENCIES))
+        .withMessage(`Currency must be one of ${Object.keys(CURRENCIES).join(', ')}`),
+    query('timeline')
+        .optional()
+        .isIn(TIMELINES)
+        .withMessage('Invalid timeline'),
+    query('customerType')
+        .optional()
+        .isIn(Object.keys(CUSTOMER_TYPES))
+        .withMessage('Invalid customer type'),
+    query('returning')
+        .optional()
+        .isBoolean()
+        .withMessage('Returning must be true or false'),
+    query('country')
+        .optional()
+        .toUpperCase()
+        .matches(/^[A-Z]{2}$/)
+        .withMessage('Country must be a two-letter ISO country code'),
     handleValidationErrors
 ], asyncHandler(async (req, res) => {
     try {
@@ -138,7 +164,11 @@ router.post('/calculate-price', [
             service,
             complexity = 'basic',
             currency = 'KES',
-            addons = []
+            addons = [],
+            timeline,
+            customerType,
+            returning,
+            country
         } = req.query;
 
         // Parse addons if it's a string
@@ -149,13 +179,25 @@ router.post('/calculate-price', [
             parsedAddons = addons;
         }
 
+        const catalog = await CatalogVersion.getActive();
+        const exchangeRates = await ExchangeRate.getRateTable();
         const priceCalculation = calculateEstimatedPrice(
             service,
             complexity,
             currency,
-            parsedAddons
+            parsedAddons,
+            {
+                timeline,
+                customerType,
+                isReturningCustomer: returning === 'true',
+                catalog,
+                exchangeRates
+            }
         );
 
+        const taxRule = await TaxRate.findApplicable({ country, currency: priceCalculation.currency });
+        priceCalculation.tax = calculateTax(priceCalculation.upfrontTotal, taxRule);
+
         res.json({
             success: true,
             message: 'Price calculated successfully',
@@ -191,11 +233,16 @@ router.get('/meta/timelines', asyncHandler(async (req, res) => {
  * @access  Public
  */
 router.get('/meta/currencies', asyncHandler(async (req, res) => {
+    const { base, asOf, rates } = await ExchangeRate.getRateTable();
+
     res.json({
         success: true,
         message: 'Currencies retrieved successfully',
         data: {
-            currencies: CURRENCIES
+            currencies: CURRENCIES,
+            baseCurrency: base,
+            exchangeRates: rates,
+            ratesAsOf: asOf
         }
     });
 }));
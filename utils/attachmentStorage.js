@@ -0,0 +1,132 @@
+import { randomUUID } from 'crypto';
+import { createReadStream } from 'fs';
+import { mkdir, writeFile, unlink } from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import config from '../config/env.js';
+import { ATTACHMENT_STORAGES } from '../constants/services.js';
+
+// Longest sanitised filename kept, extension included
+const MAX_FILENAME_LENGTH = 100;
+
+/**
+ * Make an uploaded filename safe to store and send back in a download header
+ * Directory parts are dropped, accents are removed and anything other than letters,
+ * digits, dots, dashes and underscores becomes an underscore.
+ * @param {string} filename - Filename sent by the client
+ * @returns {string} Sanitised filename
+ */
+export const sanitizeFilename = (filename) => {
+    const base = String(filename || '').split(/[\\/]/).pop()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '_')
+        .replace(/_+/g, '_')
+        .replace(/^[._]+/, '');
+
+    const extension = path.extname(base).toLowerCase();
+    const name = path.basename(base, path.extname(base)).slice(0, MAX_FILENAME_LENGTH - extension.length);
+
+    return name ? `${name}${extension}` : `attachment${extension}`;
+};
+
+// Files written under the attachment directory, named by a random key
+const localStorage = {
+    async save(buffer) {
+        const key = randomUUID();
+        await mkdir(config.attachments.directory, { recursive: true });
+        await writeFile(path.join(config.attachments.directory, key), buffer);
+        return key;
+    },
+
+    openDownloadStream(key) {
+        return createReadStream(path.join(config.attachments.directory, path.basename(key)));
+    },
+
+    async remove(key) {
+        await unlink(path.join(config.attachments.directory, path.basename(key)));
+    }
+};
+
+// Files kept in MongoDB with GridFS, keyed by their file ID
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'attachments' });
+
+const gridFsStorage = {
+    save(buffer, { filename, contentType }) {
+        return new Promise((resolve, reject) => {
+            const upload = getBucket().openUploadStream(filename, { metadata: { contentType } });
+            upload.once('finish', () => resolve(String(upload.id)));
+            upload.once('error', reject);
+            upload.end(buffer);
+        });
+    },
+
+    openDownloadStream(key) {
+        return getBucket().openDownloadStream(new mongoose.Types.ObjectId(key));
+    },
+
+    async remove(key) {
+        await getBucket().delete(new mongoose.Types.ObjectId(key));
+    }
+};
+
+const STORAGES = {
+    [ATTACHMENT_STORAGES.LOCAL]: localStorage,
+    [ATTACHMENT_STORAGES.GRIDFS]: gridFsStorage
+};
+
+/**
+ * Store uploaded files and describe them for a quote
+ * Files already stored are removed again if a later one fails.
+ * @param {Array} files - Files parsed by the upload middleware ({ originalname, mimetype, size, buffer })
+ * @param {string} uploadedBy - 'customer' or the admin's email
+ * @returns {Promise<Array>} Attachment entries for the quote
+ */
+export const storeAttachments = async (files = [], uploadedBy = 'customer') => {
+    const storage = config.attachments.storage;
+    const attachments = [];
+
+    try {
+        for (const file of files) {
+            const filename = sanitizeFilename(file.originalname);
+            const storageKey = await STORAGES[storage].save(file.buffer, { filename, contentType: file.mimetype });
+            attachments.push({
+                filename,
+                contentType: file.mimetype,
+                size: file.size,
+                storage,
+                storageKey,
+                uploadedBy
+            });
+        }
+    } catch (error) {
+        await removeAttachments(attachments);
+        throw error;
+    }
+
+    return attachments;
+};
+
+/**
+ * Open a stored attachment for download
+ * Attachments are read from the storage they were saved to, even if the setting has changed since.
+ * @param {Object} attachment - Attachment entry
+ * @returns {Object} Readable stream
+ */
+export const openAttachment = (attachment) => {
+    return STORAGES[attachment.storage].openDownloadStream(attachment.storageKey);
+};
+
+/**
+ * Delete stored attachments, logging any that could not be removed
+ * @param {Array} attachments - Attachment entries
+ */
+export const removeAttachments = async (attachments = []) => {
+    for (const attachment of attachments) {
+        try {
+            await STORAGES[attachment.storage].remove(attachment.storageKey);
+        } catch (error) {
+            console.error(`Failed to remove attachment ${attachment.storageKey}:`, error.message);
+        }
+    }
+};
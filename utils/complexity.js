@@ -0,0 +1,307 @@
+import {
+    DEFAULT_SCORING_RULES,
+    SCORING_FACTOR_TYPES,
+    SCORABLE_FIELDS
+} from '../constants/scoring.js';
+
+// Factor types scored by thresholds
+const THRESHOLD_FACTOR_TYPES = ['budgetRatio', 'count', 'length', 'previousQuotes'];
+
+// Factor types measured from the evaluation context rather than a quote field
+const CONTEXT_FACTOR_TYPES = ['budgetRatio', 'previousQuotes'];
+
+// Largest number of points a single factor or threshold may award or remove
+const MAX_FACTOR_POINTS = 20;
+
+/**
+ * Get the scoring rules for a catalog service
+ * @param {Object} service - Catalog service (including its catalog `key`)
+ * @returns {Object} Scoring rules ({ levels, factors, addons })
+ */
+export const getScoringRules = (service) => {
+    return service?.scoring ||
+        DEFAULT_SCORING_RULES[service?.key] ||
+        DEFAULT_SCORING_RULES.DEFAULT;
+};
+
+/**
+ * Points awarded by the first threshold the value reaches
+ * @param {Array} thresholds - Thresholds ({ min, points })
+ * @param {number} value - Measured value
+ * @returns {number} Points (0 when no threshold is reached)
+ */
+const scoreThresholds = (thresholds, value) => {
+    const reached = [...thresholds]
+        .sort((a, b) => b.min - a.min)
+        .find(threshold => value >= threshold.min);
+
+    return reached ? reached.points : 0;
+};
+
+/**
+ * Evaluate a single scoring factor against quote data
+ * @param {Object} factor - Factor rule
+ * @param {Object} quoteData - Quote request data
+ * @param {Object} context - Values not taken from the quote ({ basePrice, previousQuotes })
+ * @returns {Object|null} Measured value and points, or null when the factor does not apply
+ */
+const evaluateFactor = (factor, quoteData, context) => {
+    const fieldValue = quoteData[factor.field];
+
+    switch (factor.type) {
+        case 'budgetRatio': {
+            const budget = parseFloat(quoteData.budget);
+            if (!(context.basePrice > 0) || Number.isNaN(budget)) {
+                return null;
+            }
+            const ratio = budget / context.basePrice;
+            return { value: ratio.toFixed(1), points: scoreThresholds(factor.thresholds, ratio) };
+        }
+        case 'value':
+            return { value: fieldValue, points: factor.points[fieldValue] || 0 };
+        case 'count': {
+            const count = Array.isArray(fieldValue) ? fieldValue.length : 0;
+            return { value: count, points: scoreThresholds(factor.thresholds, count) };
+        }
+        case 'includes':
+            return {
+                value: factor.value,
+                points: Array.isArray(fieldValue) && fieldValue.includes(factor.value) ? factor.points : 0
+            };
+        case 'length': {
+            const length = typeof fieldValue === 'string' ? fieldValue.length : 0;
+            return { value: length, points: scoreThresholds(factor.thresholds, length) };
+        }
+        case 'previousQuotes':
+            if (!Number.isInteger(context.previousQuotes)) {
+                return null;
+            }
+            return { value: context.previousQuotes, points: scoreThresholds(factor.thresholds, context.previousQuotes) };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Score a quote request against a list of factors
+ * Every factor that adds or removes points is recorded so the score can be explained.
+ * @param {Object} quoteData - Quote request data
+ * @param {Array} factorRules - Factor rules
+ * @param {Object} context - Values not taken from the quote ({ basePrice, previousQuotes })
+ * @returns {Object} { score, factors: [{ code, description, points }] }
+ */
+export const scoreFactors = (quoteData, factorRules, context = {}) => {
+    const factors = [];
+
+    factorRules.forEach(factor => {
+        const result = evaluateFactor(factor, quoteData, context);
+        if (!result || !result.points) {
+            return;
+        }
+
+        factors.push({
+            code: factor.code,
+            description: (factor.description || factor.code).replace('{value}', result.value),
+            points: result.points
+        });
+    });
+
+    const score = factors.reduce((sum, factor) => sum + factor.points, 0);
+
+    return { score, factors };
+};
+
+/**
+ * Score a quote request and classify its complexity
+ * @param {Object} quoteData - Quote request data
+ * @param {Object} rules - Scoring rules ({ levels, factors })
+ * @param {Object} context - Values not taken from the quote
+ * @param {number} context.basePrice - Service base price in the quote's currency
+ * @returns {Object} Complexity assessment ({ level, score, factors: [{ code, description, points }] })
+ */
+export const assessComplexity = (quoteData, rules, context = {}) => {
+    const { score, factors } = scoreFactors(quoteData, rules.factors, context);
+    let level = 'basic';
+    if (score >= rules.levels.advanced) level = 'advanced';
+    else if (score >= rules.levels.intermediate) level = 'intermediate';
+
+    return { level, score, factors };
+};
+
+/**
+ * Select the add-ons a quote request asked for
+ * @param {Object} quoteData - Quote request data
+ * @param {Object} rules - Scoring rules ({ addons })
+ * @returns {Array} Array of { addon, tier } selections
+ */
+export const selectAddons = (quoteData, rules) => {
+    const addons = [];
+
+    (rules.addons || []).forEach(rule => {
+        if (rule.equals !== undefined && quoteData[rule.field] !== rule.equals) {
+            return;
+        }
+
+        const tier = rule.tiers?.[quoteData[rule.tierField || rule.field]] || rule.defaultTier;
+        if (tier) {
+            addons.push({ addon: rule.addon, tier });
+        }
+    });
+
+    return addons;
+};
+
+/**
+ * Check that a list of thresholds is well formed
+ * @param {*} thresholds - Thresholds to check
+ * @param {string} label - Label used in error messages
+ * @param {Array} errors - Collected error messages
+ */
+const checkThresholds = (thresholds, label, errors) => {
+    if (!Array.isArray(thresholds) || thresholds.length === 0) {
+        errors.push(`${label} needs at least one threshold`);
+        return;
+    }
+
+    thresholds.forEach((threshold, index) => {
+        if (typeof threshold?.min !== 'number' || !Number.isFinite(threshold.min)) {
+            errors.push(`${label} threshold ${index + 1} needs a numeric min`);
+        }
+        if (!isValidPoints(threshold?.points)) {
+            errors.push(`${label} threshold ${index + 1} needs points between -${MAX_FACTOR_POINTS} and ${MAX_FACTOR_POINTS}`);
+        }
+    });
+
+    const mins = thresholds.map(threshold => threshold?.min);
+    if (new Set(mins).size !== mins.length) {
+        errors.push(`${label} thresholds must have distinct min values`);
+    }
+};
+
+/**
+ * Whether a points value is a number within the allowed range
+ * @param {*} points - Points to check
+ * @returns {boolean}
+ */
+const isValidPoints = (points) => {
+    return typeof points === 'number' && Number.isFinite(points) && Math.abs(points) <= MAX_FACTOR_POINTS;
+};
+
+/**
+ * Validate a list of scoring factors
+ * @param {Array} factors - Factor rules
+ * @param {Array} factorTypes - Factor types the rule set may use
+ * @returns {Array} Error messages (empty when the factors are valid)
+ */
+export const validateFactors = (factors, factorTypes = SCORING_FACTOR_TYPES) => {
+    if (!Array.isArray(factors)) {
+        return ['Factors must be an array'];
+    }
+
+    const errors = [];
+    const codes = new Set();
+
+    factors.forEach((factor, index) => {
+        const label = `Factor ${factor?.code || index + 1}`;
+
+        if (typeof factor?.code !== 'string' || !/^[a-z][a-z0-9_]{1,49}$/.test(factor.code)) {
+            errors.push(`Factor ${index + 1} needs a lower-case code (letters, digits and underscores)`);
+        } else if (codes.has(factor.code)) {
+            errors.push(`Factor code ${factor.code} is used more than once`);
+        } else {
+            codes.add(factor.code);
+        }
+
+        if (!factorTypes.includes(factor?.type)) {
+            errors.push(`${label} must have a type of ${factorTypes.join(', ')}`);
+            return;
+        }
+
+        if (!CONTEXT_FACTOR_TYPES.includes(factor.type) && !SCORABLE_FIELDS.includes(factor.field)) {
+            errors.push(`${label} must read one of: ${SCORABLE_FIELDS.join(', ')}`);
+        }
+
+        if (factor.description !== undefined &&
+            (typeof factor.description !== 'string' || factor.description.length > 200)) {
+            errors.push(`${label} description must be text of at most 200 characters`);
+        }
+
+        if (THRESHOLD_FACTOR_TYPES.includes(factor.type)) {
+            checkThresholds(factor.thresholds, label, errors);
+        }
+
+        if (factor.type === 'value') {
+            const points = factor.points && typeof factor.points === 'object' ? Object.values(factor.points) : [];
+            if (points.length === 0 || !points.every(isValidPoints)) {
+                errors.push(`${label} needs a points table with values between -${MAX_FACTOR_POINTS} and ${MAX_FACTOR_POINTS}`);
+            }
+        }
+
+        if (factor.type === 'includes') {
+            if (typeof factor.value !== 'string' || !factor.value) {
+                errors.push(`${label} needs the value to look for`);
+            }
+            if (!isValidPoints(factor.points)) {
+                errors.push(`${label} needs points between -${MAX_FACTOR_POINTS} and ${MAX_FACTOR_POINTS}`);
+            }
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Validate a scoring rule set
+ * @param {Object} rules - Scoring rules ({ levels, factors, addons })
+ * @param {Object} catalogAddons - Catalog add-ons, used to check add-on keys and tiers
+ * @returns {Array} Error messages (empty when the rules are valid)
+ */
+export const validateScoringRules = (rules, catalogAddons = {}) => {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return ['Scoring rules must be an object'];
+    }
+
+    // Level cut-offs
+    const { levels } = rules;
+    if (!levels || typeof levels.intermediate !== 'number' || typeof levels.advanced !== 'number') {
+        errors.push('Levels need numeric intermediate and advanced scores');
+    } else if (levels.advanced < levels.intermediate) {
+        errors.push('The advanced score cannot be lower than the intermediate score');
+    }
+
+    // Scoring factors
+    errors.push(...validateFactors(rules.factors));
+
+    // Add-on mapping
+    if (rules.addons !== undefined && !Array.isArray(rules.addons)) {
+        errors.push('Add-ons must be an array');
+    } else {
+        (rules.addons || []).forEach((rule, index) => {
+            const catalogAddon = catalogAddons[rule?.addon];
+            const label = `Add-on rule ${rule?.addon || index + 1}`;
+
+            if (!catalogAddon) {
+                errors.push(`${label} refers to an add-on that is not in the catalog`);
+                return;
+            }
+
+            if (!SCORABLE_FIELDS.includes(rule.field) ||
+                (rule.tierField !== undefined && !SCORABLE_FIELDS.includes(rule.tierField))) {
+                errors.push(`${label} must read one of: ${SCORABLE_FIELDS.join(', ')}`);
+            }
+
+            const tiers = [...Object.values(rule.tiers || {}), rule.defaultTier].filter(Boolean);
+            if (tiers.length === 0) {
+                errors.push(`${label} needs a tiers table or a default tier`);
+            }
+
+            tiers.filter(tier => !catalogAddon.prices[tier]).forEach(tier => {
+                errors.push(`${label} maps to unknown ${catalogAddon.name} tier: ${tier}`);
+            });
+        });
+    }
+
+    return errors;
+};
@@ -0,0 +1,47 @@
+import Quote from '../models/quote.js';
+import Customer from '../models/customer.js';
+
+/**
+ * Point a new quote request at its existing customer, without changing any customer
+ * Used before the quote is saved, so triage can see the customer's history.
+ * @param {Object} quote - Unsaved quote document
+ * @returns {Promise<Object|null>} Customer document, or null if there is none yet
+ */
+export const findCustomer = async (quote) => {
+    try {
+        const customer = await Customer.findByEmail(quote.email);
+        if (customer) {
+            quote.customer = customer._id;
+        }
+
+        return customer;
+    } catch (error) {
+        console.error('Failed to look up customer:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Link a saved quote request to its customer, creating the customer on their first request
+ * Quotes from before the customer existed are linked when it is created.
+ * Failures are logged so they never block the customer's submission.
+ * @param {Object} quote - Saved quote document
+ * @returns {Promise<Object|null>} Customer document, or null if linking failed
+ */
+export const linkCustomer = async (quote) => {
+    try {
+        const { customer, created } = await Customer.upsertFromQuote(quote);
+
+        if (created) {
+            await Quote.linkEmailToCustomer(customer.email, customer._id);
+        } else if (!customer._id.equals(quote.customer)) {
+            await Quote.updateOne({ _id: quote._id }, { $set: { customer: customer._id } });
+        }
+        quote.customer = customer._id;
+
+        return customer;
+    } catch (error) {
+        console.error('Failed to link quote to customer:', error.message);
+        return null;
+    }
+};
@@ -0,0 +1,85 @@
+import Quote from '../models/quote.js';
+import config from '../config/env.js';
+import { DUPLICATE_MIN_SIMILARITY } from '../constants/services.js';
+
+/**
+ * Split a description into its distinct lowercase words
+ * @param {string} text - Description
+ * @returns {Set} Words
+ */
+const getWords = (text) => {
+    return new Set(String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+};
+
+/**
+ * Get the services a request is for, in a form that ignores their order
+ * @param {Object} quote - Quote data
+ * @returns {string} Sorted service names
+ */
+const getServiceKey = (quote) => {
+    const services = quote.services?.length > 0
+        ? quote.services.map(item => item.service)
+        : [quote.service];
+
+    return services.sort().join(' + ');
+};
+
+/**
+ * Measure how alike two descriptions are by the words they share (Dice coefficient)
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (same words)
+ */
+export const descriptionSimilarity = (a, b) => {
+    const wordsA = getWords(a);
+    const wordsB = getWords(b);
+
+    if (wordsA.size === 0 && wordsB.size === 0) {
+        return 1;
+    }
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return Math.round((2 * shared / (wordsA.size + wordsB.size)) * 100) / 100;
+};
+
+/**
+ * Find the earlier request a new one most likely repeats
+ * A duplicate comes from the same email within the duplicate window, is for the same
+ * services and has a similar description. A repeat of a duplicate points at the original.
+ * Failures are logged so they never block the customer's submission.
+ * @param {Object} quote - New quote document (not yet saved)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} { quote, similarity } for the earlier request, or null
+ */
+export const findLikelyDuplicate = async (quote, now = new Date()) => {
+    try {
+        const since = new Date(now.getTime() - config.quotes.duplicateWindowHours * 60 * 60 * 1000);
+        const candidates = await Quote.findDuplicateCandidates(quote.email, since);
+        const serviceKey = getServiceKey(quote);
+
+        let best = null;
+        for (const candidate of candidates) {
+            if (getServiceKey(candidate) !== serviceKey) {
+                continue;
+            }
+
+            const similarity = descriptionSimilarity(quote.description, candidate.description);
+            if (similarity >= DUPLICATE_MIN_SIMILARITY && (!best || similarity > best.similarity)) {
+                best = { candidate, similarity };
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+
+        const original = best.candidate.duplicateOf
+            ? await Quote.findById(best.candidate.duplicateOf).select('status createdAt').lean()
+            : null;
+
+        return { quote: original || best.candidate, similarity: best.similarity };
+    } catch (error) {
+        console.error('Duplicate check failed:', error.message);
+        return null;
+    }
+};
@@ -1,11 +1,30 @@
 import nodemailer from 'nodemailer';
 import config from '../config/env.js';
+import { createQuoteResponseLinks, createAttachmentDownloadUrl, createQuoteDocumentUrl } from './quoteLinks.js';
+import {
+    getServiceLabel,
+    formatDate,
+    formatRecurringCharge,
+    getPriceBreakdownLines,
+    formatLineItemAmount,
+    getTaxLines,
+    getCustomerNotes
+} from './quoteFormatting.js';
+import { generateQuotePdf, getQuotePdfFilename } from './quotePdf.js';
+import { NOTE_VISIBILITIES, PRIORITY_LEVELS } from '../constants/services.js';
+
+// Display labels for budget-fit verdicts
+const BUDGET_FIT_LABELS = {
+    within_budget: 'Within budget',
+    stretch: 'Stretch',
+    under_funded: 'Under-funded'
+};
 
 /**
  * Create nodemailer transporter
  */
 const createTransporter = () => {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
         host: config.email.smtp.host,
         port: config.email.smtp.port,
         secure: config.email.smtp.secure,
@@ -56,6 +75,17 @@ const sendEmail = async (mailOptions) => {
     }
 };
 
+/**
+ * Describe how long a quote is valid
+ * @param {Object} quote - Quote data
+ * @returns {string} Validity sentence
+ */
+const getValidityNotice = (quote) => {
+    return quote.validUntil
+        ? `This quote is valid until ${formatDate(quote.validUntil)}.`
+        : 'This quote is valid for 30 days from the date of this email.';
+};
+
 /**
  * Generate HTML template for quote request notification
  * @param {Object} quote - Quote data
@@ -89,6 +119,12 @@ const generateQuoteNotificationTemplate = (quote) => {
             
             <div class="content">
                 <p>A new quote request has been submitted. Here are the details:</p>
+                ${getDuplicateNotice(quote) ? `
+                <div class="quote-details" style="border-left: 4px solid #ffc107;">
+                    <h3>${getDuplicateNotice(quote)}</h3>
+                    <p>This request was not priced or quoted. Review it and merge it into the earlier request with <code>POST /api/quotes/${quote._id}/merge</code>.</p>
+                </div>
+                ` : ''}
                 
                 <div class="quote-details">
                     <h3>Contact Information</h3>
@@ -100,13 +136,21 @@ const generateQuoteNotificationTemplate = (quote) => {
                 
                 <div class="quote-details">
                     <h3>Project Details</h3>
-                    <div class="value"><span class="label">Service:</span> ${quote.service}</div>
+                    <div class="value"><span class="label">${quote.isBundle ? 'Services' : 'Service'}:</span> ${getServiceLabel(quote)}</div>
                     <div class="value"><span class="label">Timeline:</span> ${quote.timeline}</div>
                     <div class="value"><span class="label">Budget:</span> ${quote.currency} ${quote.budget.toLocaleString()}</div>
                     <div class="value"><span class="label">Description:</span> ${quote.description}</div>
                 </div>
                 
-                ${generateServiceSpecificSection(quote)}
+                ${quote.isBundle ? quote.services.map(generateServiceSpecificSection).join('') : generateServiceSpecificSection(quote)}
+
+                ${quote.isBundle ? quote.services.map(generateComplexitySection).join('') : generateComplexitySection(quote)}
+
+                ${generatePrioritySection(quote)}
+
+                ${generateBudgetFitSection(quote)}
+
+                ${generateAttachmentsSection(quote)}
                 
                 <div class="quote-details">
                     <h3>System Information</h3>
@@ -137,11 +181,12 @@ const generateServiceSpecificSection = (quote) => {
     if (quote.service === 'Web Development' || quote.service === 'Mobile App Design') {
         section = `
         <div class="quote-details">
-            <h3>Development Details</h3>
+            <h3>Development Details (${quote.service})</h3>
             ${quote.features && quote.features.length > 0 ? `<div class="value"><span class="label">Features:</span> ${quote.features.join(', ')}</div>` : ''}
-            ${quote.hosting ? `<div class="value"><span class="label">Hosting:</span> ${quote.hosting}</div>` : ''}
-            ${quote.domain ? `<div class="value"><span class="label">Domain:</span> ${quote.domain}</div>` : ''}
+            ${quote.hosting ? `<div class="value"><span class="label">Hosting:</span> ${quote.hosting}${quote.hosting === 'Yes' && quote.hostingPlan ? ` (${quote.hostingPlan})` : ''}</div>` : ''}
+            ${quote.domain ? `<div class="value"><span class="label">Domain:</span> ${quote.domain}${quote.domain === 'Yes' && quote.domainExtension ? ` (${quote.domainExtension})` : ''}</div>` : ''}
             ${quote.maintenance ? `<div class="value"><span class="label">Maintenance:</span> ${quote.maintenance}</div>` : ''}
+            ${quote.ssl ? `<div class="value"><span class="label">SSL Certificate:</span> ${quote.ssl}</div>` : ''}
         </div>
         `;
     }
@@ -171,12 +216,209 @@ const generateServiceSpecificSection = (quote) => {
     return section;
 };
 
+/**
+ * Generate the complexity assessment section for the admin notification
+ * @param {Object} quote - Quote data (or a bundled service entry)
+ * @returns {string} HTML section
+ */
+const generateComplexitySection = (quote) => {
+    const assessment = quote.complexityAssessment;
+    if (!assessment || !assessment.level) {
+        return '';
+    }
+
+    const factors = assessment.factors.map(factor =>
+        `<div class="value">${factor.description}: ${factor.points > 0 ? '+' : ''}${factor.points}</div>`
+    ).join('');
+
+    return `
+        <div class="quote-details">
+            <h3>Complexity Assessment (${quote.service})</h3>
+            <div class="value"><span class="label">Level:</span> ${assessment.level} (score ${assessment.score})</div>
+            ${factors || '<div class="value">No complexity factors applied</div>'}
+        </div>
+        `;
+};
+
+/**
+ * Describe the earlier request a suspected duplicate repeats
+ * @param {Object} quote - Quote data
+ * @returns {string|null} e.g. "Suspected duplicate of 65f1... (92% similar)", or null for other quotes
+ */
+const getDuplicateNotice = (quote) => {
+    return quote.duplicateOf
+        ? `Suspected duplicate of ${quote.duplicateOf} (${Math.round((quote.duplicateSimilarity || 0) * 100)}% similar)`
+        : null;
+};
+
+/**
+ * Generate the priority triage section for the admin notification
+ * @param {Object} quote - Quote data
+ * @returns {string} HTML section
+ */
+const generatePrioritySection = (quote) => {
+    const factors = (quote.priorityAssessment?.factors || []).map(factor =>
+        `<div class="value">${factor.description}: ${factor.points > 0 ? '+' : ''}${factor.points}</div>`
+    ).join('');
+
+    return `
+        <div class="quote-details">
+            <h3>Priority</h3>
+            <div class="value"><span class="label">Priority:</span> ${quote.priority}${quote.priorityAssessment ? ` (score ${quote.priorityAssessment.score})` : ''}</div>
+            ${factors}
+        </div>
+        `;
+};
+
+/**
+ * Format a file size for emails
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "2.4 MB"
+ */
+const formatFileSize = (bytes) => {
+    return bytes >= 1024 * 1024
+        ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+        : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+/**
+ * Generate the attachments section for admin emails, with a download link per file
+ * @param {Object} quote - Quote data
+ * @param {Array} attachments - Attachments to list (defaults to all of the quote's)
+ * @returns {string} HTML section, or an empty string without attachments
+ */
+const generateAttachmentsSection = (quote, attachments = quote.attachments) => {
+    if (!attachments?.length) {
+        return '';
+    }
+
+    const links = attachments.map(attachment =>
+        `<div class="value"><a href="${createAttachmentDownloadUrl(quote, attachment)}">${attachment.filename}</a> (${formatFileSize(attachment.size)})</div>`
+    ).join('');
+
+    return `
+        <div class="quote-details">
+            <h3>Attachments</h3>
+            ${links}
+            <div class="value">Download links expire after 7 days; attachments stay available in the admin API.</div>
+        </div>
+        `;
+};
+
+/**
+ * Get the plain-text attachment lines for admin emails
+ * @param {Object} quote - Quote data
+ * @param {Array} attachments - Attachments to list (defaults to all of the quote's)
+ * @returns {string} One line per attachment, or an empty string without attachments
+ */
+const getAttachmentTextLines = (quote, attachments = quote.attachments) => {
+    if (!attachments?.length) {
+        return '';
+    }
+
+    return ['Attachments:', ...attachments.map(attachment =>
+        `${attachment.filename} (${formatFileSize(attachment.size)}): ${createAttachmentDownloadUrl(quote, attachment)}`
+    )].join('\n        ');
+};
+
+/**
+ * Generate the budget-fit section for the admin notification
+ * @param {Object} quote - Quote data
+ * @returns {string} HTML section
+ */
+const generateBudgetFitSection = (quote) => {
+    const budgetFit = quote.budgetFit;
+    if (!budgetFit || !budgetFit.verdict) {
+        return '';
+    }
+
+    const gap = Math.abs(budgetFit.difference).toLocaleString();
+    const summary = budgetFit.difference >= 0
+        ? `${quote.currency} ${gap} under budget`
+        : `${quote.currency} ${gap} (${Math.abs(budgetFit.differencePercent)}%) over budget`;
+    const suggestions = (budgetFit.suggestions || []).map(suggestion =>
+        `<div class="value">${suggestion.description}: ${quote.currency} ${suggestion.price.toLocaleString()}</div>`
+    ).join('');
+
+    return `
+        <div class="quote-details">
+            <h3>Budget Fit</h3>
+            <div class="value"><span class="label">Verdict:</span> ${BUDGET_FIT_LABELS[budgetFit.verdict]}</div>
+            <div class="value"><span class="label">Estimate:</span> ${quote.currency} ${budgetFit.price.toLocaleString()} (${summary})</div>
+            ${budgetFit.priceRange ? `<div class="value"><span class="label">Typical Range:</span> ${quote.currency} ${budgetFit.priceRange.min.toLocaleString()} - ${budgetFit.priceRange.max.toLocaleString()} (budget is ${budgetFit.rangePosition} range)</div>` : ''}
+            ${suggestions ? `<div class="value"><span class="label">Options within budget:</span></div>${suggestions}` : ''}
+        </div>
+        `;
+};
+
+/**
+ * Generate the itemised table of a line-item quote
+ * @param {Object} priceBreakdown - Line-item price breakdown (see calculateLineItemQuote)
+ * @param {string} currency - Currency code
+ * @returns {string} HTML table
+ */
+const generateLineItemsTable = (priceBreakdown, currency) => {
+    const cell = 'style="padding: 6px; border-bottom: 1px solid #ddd; text-align: left;"';
+    const numericCell = 'style="padding: 6px; border-bottom: 1px solid #ddd; text-align: right;"';
+
+    return `
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr>
+                            <th ${cell}>Description</th>
+                            <th ${numericCell}>Qty</th>
+                            <th ${numericCell}>Unit Price</th>
+                            <th ${numericCell}>Discount</th>
+                            <th ${numericCell}>Amount</th>
+                        </tr>
+                        ${priceBreakdown.lineItems.map(line => `
+                        <tr>
+                            <td ${cell}>${line.description}</td>
+                            <td ${numericCell}>${line.quantity}</td>
+                            <td ${numericCell}>${currency} ${line.unitPrice.toLocaleString()}</td>
+                            <td ${numericCell}>${line.discountPercent ? `${line.discountPercent}%` : '-'}</td>
+                            <td ${numericCell}>${formatLineItemAmount(line, currency)}</td>
+                        </tr>`).join('')}
+                    </table>
+                    ${priceBreakdown.discountTotal ? `<div class="value"><span class="label">Discounts:</span> -${currency} ${priceBreakdown.discountTotal.toLocaleString()}</div>` : ''}
+    `;
+};
+
+/**
+ * Get plain-text lines for a line-item quote
+ * @param {Object} priceBreakdown - Line-item price breakdown (see calculateLineItemQuote)
+ * @param {string} currency - Currency code
+ * @returns {Array} Text lines
+ */
+const getLineItemTextLines = (priceBreakdown, currency) => {
+    return [
+        ...priceBreakdown.lineItems.map(line =>
+            `${line.description}: ${line.quantity} x ${currency} ${line.unitPrice.toLocaleString()}` +
+            `${line.discountPercent ? ` less ${line.discountPercent}%` : ''} = ${formatLineItemAmount(line, currency)}`
+        ),
+        ...(priceBreakdown.discountTotal ? [`Discounts: -${currency} ${priceBreakdown.discountTotal.toLocaleString()}`] : [])
+    ];
+};
+
+/**
+ * Describe which revision a re-issued quote replaces
+ * @param {Object} quote - Quote data
+ * @returns {string|null} e.g. "Revision 2 replaces revision 1", or null for the first quote
+ */
+const getRevisionNotice = (quote) => {
+    return quote.currentRevision > 1
+        ? `Revision ${quote.currentRevision} replaces revision ${quote.currentRevision - 1}`
+        : null;
+};
+
 /**
  * Generate HTML template for quote response to customer
  * @param {Object} quote - Quote data
+ * @param {Object} priceBreakdown - Optional price breakdown details
+ * @param {Object} responseLinks - Optional accept and decline links ({ accept, decline })
+ * @param {string} documentUrl - Optional link to the quotation PDF
  * @returns {string} HTML template
  */
-const generateQuoteResponseTemplate = (quote) => {
+const generateQuoteResponseTemplate = (quote, priceBreakdown = null, responseLinks = null, documentUrl = null) => {
     return `
     <!DOCTYPE html>
     <html>
@@ -206,33 +448,79 @@ const generateQuoteResponseTemplate = (quote) => {
             <div class="content">
                 <p>Dear ${quote.name},</p>
                 <p>Thank you for your interest in our services. We have reviewed your project requirements and prepared a quote for you.</p>
+                ${getRevisionNotice(quote) ? `<p><strong>${getRevisionNotice(quote)}.</strong> Please disregard the earlier quote.</p>` : ''}
                 
                 <div class="quote-amount">
-                    <h2>Quote Amount: ${quote.quotedCurrency} ${quote.quotedAmount.toLocaleString()}</h2>
-                    ${priceBreakdown ? `<p><small>Complexity Level: ${priceBreakdown.complexity}</small></p>` : ''}
+                    <h2>Upfront Total: ${quote.quotedCurrency} ${quote.quotedAmount.toLocaleString()}</h2>
+                    ${priceBreakdown && priceBreakdown.complexity ? `<p><small>Complexity Level: ${priceBreakdown.complexity}</small></p>` : ''}
+                    ${quote.tax ? `<p><small>Total incl. ${quote.tax.exempt ? 'tax' : quote.tax.name}: ${quote.quotedCurrency} ${quote.tax.gross.toLocaleString()}</small></p>` : ''}
+                </div>
+                
+                ${priceBreakdown?.isManual ? `
+                <div class="quote-details">
+                    <h3>Quote Details</h3>
+                    ${generateLineItemsTable(priceBreakdown, quote.quotedCurrency)}
+                </div>
+                ` : ''}
+                
+                ${priceBreakdown && !priceBreakdown.isManual ? `
+                <div class="quote-details">
+                    <h3>Price Breakdown</h3>
+                    ${getPriceBreakdownLines(priceBreakdown, quote.quotedCurrency).map(line =>
+        `<div class="value"><span class="label">${line.label}:</span> ${line.value}</div>`
+    ).join('')}
                 </div>
+                ` : ''}
                 
-                ${priceBreakdown && priceBreakdown.addons && priceBreakdown.addons.length > 0 ? `
+                ${quote.tax ? `
                 <div class="quote-details">
-                    <h3>Included Services</h3>
-                    <div class="value"><span class="label">Base Service:</span> ${quote.quotedCurrency} ${priceBreakdown.servicePrice.toLocaleString()}</div>
-                    ${priceBreakdown.addons.map(addon =>
-        `<div class="value"><span class="label">${addon.name}:</span> ${addon.currency} ${addon.price.toLocaleString()}</div>`
+                    <h3>Tax</h3>
+                    ${getTaxLines(quote.tax, quote.quotedCurrency).map(line =>
+        `<div class="value"><span class="label">${line.label}:</span> ${line.value}</div>`
     ).join('')}
                 </div>
                 ` : ''}
                 
+                ${quote.recurringCharges && quote.recurringCharges.length > 0 ? `
+                <div class="quote-details">
+                    <h3>Recurring Charges</h3>
+                    ${quote.recurringCharges.map(charge =>
+        `<div class="value"><span class="label">${charge.name}:</span> ${formatRecurringCharge(charge)}</div>`
+    ).join('')}
+                    <div class="value"><span class="label">First-Year Total Cost:</span> ${quote.quotedCurrency} ${quote.firstYearTotal.toLocaleString()}</div>
+                    ${quote.tax ? '<p><small>Recurring charges are quoted excluding tax.</small></p>' : ''}
+                </div>
+                ` : ''}
+                
                 <div class="quote-details">
                     <h3>Project Summary</h3>
-                    <div class="value"><span class="label">Service:</span> ${quote.service}</div>
+                    <div class="value"><span class="label">${quote.isBundle ? 'Services' : 'Service'}:</span> ${getServiceLabel(quote)}</div>
                     <div class="value"><span class="label">Timeline:</span> ${quote.timeline}</div>
                     <div class="value"><span class="label">Your Budget:</span> ${quote.currency} ${quote.budget.toLocaleString()}</div>
                 </div>
                 
-                ${quote.notes ? `
+                ${getCustomerNotes(quote).length > 0 ? `
                 <div class="quote-details">
                     <h3>Additional Notes</h3>
-                    <p>${quote.notes}</p>
+                    ${getCustomerNotes(quote).map(note => `<p>${note.body}</p>`).join('')}
+                </div>
+                ` : ''}
+                
+                ${responseLinks ? `
+                <div class="quote-details" style="text-align: center;">
+                    <h3>Your Decision</h3>
+                    <p>
+                        <a href="${responseLinks.accept}" style="display: inline-block; padding: 10px 20px; margin: 5px; background: #28a745; color: white; text-decoration: none; border-radius: 5px;">Accept Quote</a>
+                        <a href="${responseLinks.decline}" style="display: inline-block; padding: 10px 20px; margin: 5px; background: #6c757d; color: white; text-decoration: none; border-radius: 5px;">Decline Quote</a>
+                    </p>
+                    <p><small>Each link can be used once and expires with this quote.</small></p>
+                </div>
+                ` : ''}
+                
+                ${documentUrl ? `
+                <div class="quote-details">
+                    <h3>Formal Quotation</h3>
+                    <p>The formal quotation is attached to this email as a PDF. You can also <a href="${documentUrl}">download it here</a>.</p>
                 </div>
                 ` : ''}
                 
@@ -243,7 +531,7 @@ const generateQuoteResponseTemplate = (quote) => {
                     <div class="value"><span class="label">Phone:</span> +254 XXX XXX XXX</div>
                 </div>
                 
-                <p>This quote is valid for 30 days from the date of this email.</p>
+                <p>${getValidityNotice(quote)}</p>
                 <p>We look forward to working with you!</p>
                 
                 <p>Best regards,<br>
@@ -252,7 +540,7 @@ const generateQuoteResponseTemplate = (quote) => {
             
             <div class="footer">
                 <p>OmyTech - Professional Web Development & Digital Solutions</p>
-                <p>Quote ID: ${quote._id}</p>
+                <p>Quote ID: ${quote._id}${quote.currentRevision ? ` (Revision ${quote.currentRevision})` : ''}</p>
             </div>
         </div>
     </body>
@@ -269,11 +557,14 @@ export const sendQuoteNotificationEmail = async (quote) => {
     const mailOptions = {
         from: config.email.from,
         to: config.email.to,
-        subject: `New Quote Request - ${quote.service} - ${quote.name}`,
+        subject: `${quote.priority === PRIORITY_LEVELS.URGENT ? '[URGENT] ' : ''}${quote.duplicateOf ? '[Suspected Duplicate] ' : ''}New Quote Request - ${getServiceLabel(quote)} - ${quote.name}`,
         html: generateQuoteNotificationTemplate(quote),
         text: `
         New Quote Request Received
-        
+        ${getDuplicateNotice(quote) ? `
+        ${getDuplicateNotice(quote)}. This request was not priced or quoted.
+        Review it and merge it into the earlier request with POST /api/quotes/${quote._id}/merge.
+        ` : ''}
         Contact Information:
         Name: ${quote.name}
         Email: ${quote.email}
@@ -281,10 +572,13 @@ export const sendQuoteNotificationEmail = async (quote) => {
         ${quote.company ? `Company: ${quote.company}` : ''}
         
         Project Details:
-        Service: ${quote.service}
+        Service: ${getServiceLabel(quote)}
         Timeline: ${quote.timeline}
         Budget: ${quote.currency} ${quote.budget.toLocaleString()}
         Description: ${quote.description}
+        Priority: ${quote.priority}${quote.priorityAssessment ? ` (score ${quote.priorityAssessment.score})` : ''}
+        ${quote.budgetFit?.verdict ? `Budget Fit: ${BUDGET_FIT_LABELS[quote.budgetFit.verdict]} (estimate ${quote.currency} ${quote.budgetFit.price.toLocaleString()})` : ''}
+        ${getAttachmentTextLines(quote)}
         
         Quote ID: ${quote._id}
         Submitted: ${new Date(quote.createdAt).toLocaleString()}
@@ -301,34 +595,263 @@ export const sendQuoteNotificationEmail = async (quote) => {
  * @returns {Promise<Object>}
  */
 export const sendQuoteResponseEmail = async (quote, priceBreakdown = null) => {
+    const responseLinks = createQuoteResponseLinks(quote);
+    const revision = quote.getRevision?.(quote.currentRevision);
+    const documentUrl = revision ? createQuoteDocumentUrl(quote, revision.number) : null;
+
+    let attachments = [];
+    if (revision) {
+        try {
+            attachments = [{
+                filename: getQuotePdfFilename(quote, revision),
+                content: await generateQuotePdf(quote, revision),
+                contentType: 'application/pdf'
+            }];
+        } catch (pdfError) {
+            console.error('Failed to generate quote PDF:', pdfError.message);
+            // Send the email without the PDF; it can still be downloaded from the link
+        }
+    }
+
     const mailOptions = {
         from: config.email.from,
         to: quote.email,
-        subject: `Your Quote is Ready - ${quote.service} Project`,
-        html: generateQuoteResponseTemplate(quote),
+        subject: `Your ${quote.currentRevision > 1 ? 'Revised ' : ''}Quote is Ready - ${getServiceLabel(quote)} Project`,
+        html: generateQuoteResponseTemplate(quote, priceBreakdown, responseLinks, documentUrl),
         text: `
         Dear ${quote.name},
         
         Thank you for your interest in our services. We have reviewed your project requirements and prepared a quote for you.
+        ${getRevisionNotice(quote) ? `${getRevisionNotice(quote)}. Please disregard the earlier quote.` : ''}
         
-        Quote Amount: ${quote.quotedCurrency} ${quote.quotedAmount.toLocaleString()}
-        
+        Upfront Total: ${quote.quotedCurrency} ${quote.quotedAmount.toLocaleString()}
+        ${priceBreakdown?.isManual ? `
+        Quote Details:
+        ${getLineItemTextLines(priceBreakdown, quote.quotedCurrency).join('\n        ')}
+        ` : ''}
+        ${priceBreakdown && !priceBreakdown.isManual ? `
+        Price Breakdown:
+        ${getPriceBreakdownLines(priceBreakdown, quote.quotedCurrency).map(line => `${line.label}: ${line.value}`).join('\n        ')}
+        ` : ''}
+        ${quote.tax ? `
+        Tax:
+        ${getTaxLines(quote.tax, quote.quotedCurrency).map(line => `${line.label}: ${line.value}`).join('\n        ')}
+        ` : ''}
+        ${quote.recurringCharges && quote.recurringCharges.length > 0 ? `
+        Recurring Charges:
+        ${quote.recurringCharges.map(charge => `${charge.name}: ${formatRecurringCharge(charge)}`).join('\n        ')}
+        First-Year Total Cost: ${quote.quotedCurrency} ${quote.firstYearTotal.toLocaleString()}
+        ${quote.tax ? '(Recurring charges are quoted excluding tax.)' : ''}
+        ` : ''}
         Project Summary:
-        Service: ${quote.service}
+        Service: ${getServiceLabel(quote)}
         Timeline: ${quote.timeline}
         Your Budget: ${quote.currency} ${quote.budget.toLocaleString()}
         
-        ${quote.notes ? `Additional Notes: ${quote.notes}` : ''}
+        ${getCustomerNotes(quote).length > 0 ? `Additional Notes:
+        ${getCustomerNotes(quote).map(note => note.body).join('\n        ')}` : ''}
+        
+        ${getValidityNotice(quote)}
+        
+        ${responseLinks ? `Accept this quote: ${responseLinks.accept}
+        Decline this quote: ${responseLinks.decline}
+        (Each link can be used once and expires with this quote.)
         
-        This quote is valid for 30 days from the date of this email.
+        ` : ''}${documentUrl ? `The formal quotation is attached as a PDF. Download it again: ${documentUrl}
         
-        If you're happy with this quote, please reply to this email or contact us at ${config.email.from}
+        ` : ''}If you're happy with this quote, please reply to this email or contact us at ${config.email.from}
         
         We look forward to working with you!
         
         Best regards,
         The OmyTech Team
         
+        Quote ID: ${quote._id}${quote.currentRevision ? ` (Revision ${quote.currentRevision})` : ''}
+        `,
+        attachments
+    };
+
+    return await sendEmail(mailOptions);
+};
+
+/**
+ * Notify the admin that a customer accepted or declined a quote online
+ * @param {Object} quote - Quote data with customerResponse
+ * @returns {Promise<Object>}
+ */
+export const sendCustomerResponseNotificationEmail = async (quote) => {
+    const { action, reason, revision } = quote.customerResponse;
+    const verb = action === 'accepted' ? 'Accepted' : 'Declined';
+    const amount = `${quote.quotedCurrency} ${quote.quotedAmount.toLocaleString()}`;
+
+    const mailOptions = {
+        from: config.email.from,
+        to: config.email.to,
+        subject: `Quote ${verb} - ${getServiceLabel(quote)} - ${quote.name}`,
+        html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Quote ${verb}</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: ${action === 'accepted' ? '#28a745' : '#dc3545'}; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .label { font-weight: bold; color: #555; }
+                .value { margin-bottom: 10px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>Quote ${verb} by Customer</h1>
+                </div>
+                
+                <div class="content">
+                    <div class="value"><span class="label">Customer:</span> ${quote.name} (${quote.email})</div>
+                    <div class="value"><span class="label">Service:</span> ${getServiceLabel(quote)}</div>
+                    <div class="value"><span class="label">Quoted Amount:</span> ${amount} (revision ${revision})</div>
+                    ${reason ? `<div class="value"><span class="label">Reason:</span> ${reason}</div>` : ''}
+                    <p>Quote ID: ${quote._id}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `,
+        text: `
+        Quote ${verb} by Customer
+        
+        Customer: ${quote.name} (${quote.email})
+        Service: ${getServiceLabel(quote)}
+        Quoted Amount: ${amount} (revision ${revision})
+        ${reason ? `Reason: ${reason}` : ''}
+        
+        Quote ID: ${quote._id}
+        `
+    };
+
+    return await sendEmail(mailOptions);
+};
+
+/**
+ * Notify the admin that a customer uploaded more files to a quote request
+ * @param {Object} quote - Quote data
+ * @param {Array} attachments - The newly uploaded attachments
+ * @returns {Promise<Object>}
+ */
+export const sendAttachmentsAddedEmail = async (quote, attachments) => {
+    const mailOptions = {
+        from: config.email.from,
+        to: config.email.to,
+        subject: `New Attachments - ${getServiceLabel(quote)} - ${quote.name}`,
+        html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>New Attachments</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #007bff; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .quote-details { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; }
+                .label { font-weight: bold; color: #555; }
+                .value { margin-bottom: 10px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>New Attachments from Customer</h1>
+                </div>
+                
+                <div class="content">
+                    <div class="value"><span class="label">Customer:</span> ${quote.name} (${quote.email})</div>
+                    <div class="value"><span class="label">Service:</span> ${getServiceLabel(quote)}</div>
+                    ${generateAttachmentsSection(quote, attachments)}
+                    <p>Quote ID: ${quote._id}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `,
+        text: `
+        New Attachments from Customer
+        
+        Customer: ${quote.name} (${quote.email})
+        Service: ${getServiceLabel(quote)}
+        ${getAttachmentTextLines(quote, attachments)}
+        
+        Quote ID: ${quote._id}
+        `
+    };
+
+    return await sendEmail(mailOptions);
+};
+
+/**
+ * Notify an admin that a quote has been assigned to them
+ * @param {Object} quote - Quote data with assignedTo
+ * @param {string} previousAssignee - Optional admin the quote was reassigned from
+ * @returns {Promise<Object>}
+ */
+export const sendQuoteAssignmentEmail = async (quote, previousAssignee = null) => {
+    const assignment = quote.assignedBy === 'system'
+        ? 'automatically'
+        : `by ${quote.assignedBy || 'an admin'}`;
+
+    const mailOptions = {
+        from: config.email.from,
+        to: quote.assignedTo,
+        subject: `Quote Assigned to You - ${getServiceLabel(quote)} - ${quote.name}`,
+        html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Quote Assigned to You</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #007bff; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .label { font-weight: bold; color: #555; }
+                .value { margin-bottom: 10px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>Quote Assigned to You</h1>
+                </div>
+                
+                <div class="content">
+                    <p>This quote was assigned to you ${assignment}${previousAssignee ? ` (previously ${previousAssignee})` : ''}.</p>
+                    <div class="value"><span class="label">Customer:</span> ${quote.name} (${quote.email})</div>
+                    <div class="value"><span class="label">Service:</span> ${getServiceLabel(quote)}</div>
+                    <div class="value"><span class="label">Status:</span> ${quote.status}</div>
+                    <div class="value"><span class="label">Timeline:</span> ${quote.timeline}</div>
+                    <div class="value"><span class="label">Budget:</span> ${quote.currency} ${quote.budget.toLocaleString()}</div>
+                    <p>Quote ID: ${quote._id}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `,
+        text: `
+        Quote Assigned to You
+        
+        This quote was assigned to you ${assignment}${previousAssignee ? ` (previously ${previousAssignee})` : ''}.
+        
+        Customer: ${quote.name} (${quote.email})
+        Service: ${getServiceLabel(quote)}
+        Status: ${quote.status}
+        Timeline: ${quote.timeline}
+        Budget: ${quote.currency} ${quote.budget.toLocaleString()}
+        
         Quote ID: ${quote._id}
         `
     };
@@ -340,22 +863,26 @@ export const sendQuoteResponseEmail = async (quote, priceBreakdown = null) => {
  * Send quote status update notification
  * @param {Object} quote - Quote data
  * @param {string} oldStatus - Previous status
+ * @param {Object} note - Optional note added with the change; included only if customer-visible
  * @returns {Promise<Object>}
  */
-export const sendStatusUpdateEmail = async (quote, oldStatus) => {
+export const sendStatusUpdateEmail = async (quote, oldStatus, note = null) => {
+    const customerNote = note?.visibility === NOTE_VISIBILITIES.CUSTOMER ? note.body : null;
+
     const statusMessages = {
         pending: 'Your quote request is pending review',
         reviewed: 'Your quote request is being reviewed',
         quoted: 'Your quote is ready!',
         accepted: 'Thank you for accepting our quote',
         rejected: 'Quote was not accepted',
-        completed: 'Your project has been completed'
+        completed: 'Your project has been completed',
+        expired: 'Your quote has expired. Contact us and we will be happy to re-issue it'
     };
 
     const mailOptions = {
         from: config.email.from,
         to: quote.email,
-        subject: `Quote Status Update - ${quote.service} Project`,
+        subject: `Quote Status Update - ${getServiceLabel(quote)} Project`,
         html: `
         <!DOCTYPE html>
         <html>
@@ -385,10 +912,10 @@ export const sendStatusUpdateEmail = async (quote, oldStatus) => {
                         <p>${statusMessages[quote.status]}</p>
                     </div>
                     
-                    ${quote.notes ? `<p><strong>Notes:</strong> ${quote.notes}</p>` : ''}
+                    ${customerNote ? `<p><strong>Notes:</strong> ${customerNote}</p>` : ''}
                     
                     <p>Quote ID: ${quote._id}</p>
-                    <p>Service: ${quote.service}</p>
+                    <p>Service: ${getServiceLabel(quote)}</p>
                     
                     <p>If you have any questions, please contact us at ${config.email.from}</p>
                     
@@ -409,10 +936,10 @@ export const sendStatusUpdateEmail = async (quote, oldStatus) => {
         Status: ${oldStatus} → ${quote.status}
         ${statusMessages[quote.status]}
         
-        ${quote.notes ? `Notes: ${quote.notes}` : ''}
+        ${customerNote ? `Notes: ${customerNote}` : ''}
         
         Quote ID: ${quote._id}
-        Service: ${quote.service}
+        Service: ${getServiceLabel(quote)}
         
         If you have any questions, please contact us at ${config.email.from}
         
@@ -424,6 +951,79 @@ export const sendStatusUpdateEmail = async (quote, oldStatus) => {
     return await sendEmail(mailOptions);
 };
 
+/**
+ * Send a reminder that a quote is about to expire
+ * @param {Object} quote - Quote data with quoted amount and validUntil
+ * @returns {Promise<Object>}
+ */
+export const sendQuoteExpiryReminderEmail = async (quote) => {
+    const amount = `${quote.quotedCurrency} ${quote.quotedAmount.toLocaleString()}`;
+
+    const mailOptions = {
+        from: config.email.from,
+        to: quote.email,
+        subject: `Your Quote Expires Soon - ${getServiceLabel(quote)} Project`,
+        html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Quote Expiry Reminder</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #ffc107; color: #333; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f9f9f9; }
+                .reminder { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; text-align: center; }
+                .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>Your Quote Expires Soon</h1>
+                </div>
+                
+                <div class="content">
+                    <p>Dear ${quote.name},</p>
+                    
+                    <div class="reminder">
+                        <h3>Upfront Total: ${amount}</h3>
+                        <p>This price is held until <strong>${formatDate(quote.validUntil)}</strong>.</p>
+                    </div>
+                    
+                    <p>If you would like to go ahead, please reply to this email or contact us at ${config.email.from} before the quote expires.</p>
+                    
+                    <p>Quote ID: ${quote._id}</p>
+                    <p>Service: ${getServiceLabel(quote)}</p>
+                    
+                    <p>Best regards,<br>The OmyTech Team</p>
+                </div>
+                
+                <div class="footer">
+                    <p>OmyTech - Professional Web Development & Digital Solutions</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `,
+        text: `
+        Dear ${quote.name},
+        
+        Your quote for ${getServiceLabel(quote)} (upfront total ${amount}) is held until ${formatDate(quote.validUntil)}.
+        
+        If you would like to go ahead, please reply to this email or contact us at ${config.email.from} before the quote expires.
+        
+        Quote ID: ${quote._id}
+        
+        Best regards,
+        The OmyTech Team
+        `
+    };
+
+    return await sendEmail(mailOptions);
+};
+
 /**
  * Send test email to verify configuration
  * @param {string} testEmail - Email address to send test to
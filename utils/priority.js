@@ -0,0 +1,50 @@
+import { PRIORITY_LEVELS } from '../constants/services.js';
+import { PRIORITY_FACTOR_TYPES } from '../constants/scoring.js';
+import { scoreFactors, validateFactors } from './complexity.js';
+
+// Priority levels above low, lowest first, with the score each one starts at
+const SCORED_LEVELS = [PRIORITY_LEVELS.MEDIUM, PRIORITY_LEVELS.HIGH, PRIORITY_LEVELS.URGENT];
+
+/**
+ * Score a quote request and set its triage priority
+ * @param {Object} quoteData - Quote request data
+ * @param {Object} rules - Priority rules ({ levels, factors })
+ * @param {Object} context - Values not taken from the quote
+ * @param {number} context.basePrice - Base price of the requested services in the quote's currency
+ * @param {number} context.previousQuotes - Earlier quote requests from the same customer
+ * @returns {Object} Priority assessment ({ level, score, factors: [{ code, description, points }] })
+ */
+export const assessPriority = (quoteData, rules, context = {}) => {
+    const { score, factors } = scoreFactors(quoteData, rules.factors, context);
+    const level = [...SCORED_LEVELS]
+        .reverse()
+        .find(candidate => score >= rules.levels[candidate]) || PRIORITY_LEVELS.LOW;
+
+    return { level, score, factors };
+};
+
+/**
+ * Validate a priority rule set
+ * @param {Object} rules - Priority rules ({ levels, factors })
+ * @returns {Array} Error messages (empty when the rules are valid)
+ */
+export const validatePriorityRules = (rules) => {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return ['Priority rules must be an object'];
+    }
+
+    const errors = [];
+
+    // Level cut-offs
+    const { levels } = rules;
+    if (!levels || !SCORED_LEVELS.every(level => typeof levels[level] === 'number')) {
+        errors.push(`Levels need numeric ${SCORED_LEVELS.join(', ')} scores`);
+    } else if (levels.high < levels.medium || levels.urgent < levels.high) {
+        errors.push('Level scores must not decrease from medium to high to urgent');
+    }
+
+    // Scoring factors
+    errors.push(...validateFactors(rules.factors, PRIORITY_FACTOR_TYPES));
+
+    return errors;
+};
@@ -0,0 +1,51 @@
+import Quote from '../models/quote.js';
+import config from '../config/env.js';
+import { ASSIGNMENT_STRATEGIES } from '../constants/services.js';
+import { sendQuoteAssignmentEmail } from './nodemailer.js';
+
+/**
+ * Pick the admin a new quote request should be assigned to
+ * Round-robin continues after the last automatic assignment; least-loaded picks the
+ * assignee with the fewest open quotes (ties go to the first in the list).
+ * @param {string} strategy - One of ASSIGNMENT_STRATEGIES
+ * @param {Array} assignees - Admin emails to choose from
+ * @returns {Promise<string|null>} Assignee email, or null when auto-assignment is off
+ */
+export const pickAssignee = async (strategy = config.quotes.autoAssign, assignees = config.quotes.assignees) => {
+    if (strategy === ASSIGNMENT_STRATEGIES.OFF || assignees.length === 0) {
+        return null;
+    }
+
+    if (strategy === ASSIGNMENT_STRATEGIES.ROUND_ROBIN) {
+        const lastAssignee = await Quote.findLastAutoAssignee(assignees);
+        return assignees[(assignees.indexOf(lastAssignee) + 1) % assignees.length];
+    }
+
+    const openCounts = await Quote.countOpenByAssignee(assignees);
+    return assignees.reduce((least, assignee) =>
+        (openCounts.get(assignee) || 0) < (openCounts.get(least) || 0) ? assignee : least
+    );
+};
+
+/**
+ * Assign a new quote request automatically and notify the assignee
+ * A failed notification is logged; a failed assignment is thrown to the caller.
+ * @param {Object} quote - Saved quote document
+ * @returns {Promise<string|null>} Assignee email, or null when auto-assignment is off
+ */
+export const autoAssignQuote = async (quote) => {
+    const assignee = await pickAssignee();
+    if (!assignee) {
+        return null;
+    }
+
+    await quote.assign(assignee, 'system');
+
+    try {
+        await sendQuoteAssignmentEmail(quote);
+    } catch (emailError) {
+        console.error('Failed to send quote assignment email:', emailError.message);
+    }
+
+    return assignee;
+};
@@ -0,0 +1,80 @@
+import Quote from '../models/quote.js';
+import config from '../config/env.js';
+import { QUOTE_STATUSES } from '../constants/services.js';
+import { sendQuoteExpiryReminderEmail } from './nodemailer.js';
+
+/**
+ * Mark issued quotes whose validity has passed as expired
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of quotes expired
+ */
+export const expireQuotes = async (now = new Date()) => {
+    const quotes = await Quote.findExpired(now);
+
+    for (const quote of quotes) {
+        await quote.updateStatus(QUOTE_STATUSES.EXPIRED);
+    }
+
+    return quotes.length;
+};
+
+/**
+ * Remind customers whose quotes expire soon
+ * Each quote is reminded once per validity period; a failed email is retried on the next run.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+    const quotes = await Quote.findDueForExpiryReminder(now);
+    let sent = 0;
+
+    for (const quote of quotes) {
+        try {
+            await sendQuoteExpiryReminderEmail(quote);
+            quote.expiryReminderSentAt = now;
+            await quote.save();
+            sent++;
+        } catch (error) {
+            console.error(`Failed to send expiry reminder for quote ${quote._id}:`, error.message);
+        }
+    }
+
+    return sent;
+};
+
+/**
+ * Expire overdue quotes and send reminders for those expiring soon
+ * @returns {Promise<Object>} Counts of expired quotes and reminders sent
+ */
+export const runQuoteExpiryCheck = async () => {
+    const now = new Date();
+    const expired = await expireQuotes(now);
+    const reminded = await sendExpiryReminders(now);
+
+    return { expired, reminded };
+};
+
+/**
+ * Run the expiry check now and then on a fixed interval
+ * @param {number} intervalMinutes - Minutes between checks
+ * @returns {Object} Interval timer
+ */
+export const startQuoteExpiryJob = (intervalMinutes = config.quotes.expiryCheckIntervalMinutes) => {
+    const run = async () => {
+        try {
+            const { expired, reminded } = await runQuoteExpiryCheck();
+            if (expired || reminded) {
+                console.log(`⏰ Quote expiry check: ${expired} expired, ${reminded} reminders sent`);
+            }
+        } catch (error) {
+            console.error('Quote expiry check failed:', error.message);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMinutes * 60 * 1000);
+    // Don't keep the process alive just for the expiry check
+    timer.unref();
+
+    return timer;
+};
@@ -0,0 +1,132 @@
+import { NOTE_VISIBILITIES } from '../constants/services.js';
+
+// Display labels for add-on billing periods
+export const BILLING_PERIOD_LABELS = {
+    monthly: 'month',
+    quarterly: 'quarter',
+    yearly: 'year'
+};
+
+/**
+ * Get the display name of the service(s) on a quote
+ * @param {Object} quote - Quote data
+ * @returns {string} Service name, or the bundled service names joined with " + "
+ */
+export const getServiceLabel = (quote) => {
+    return quote.isBundle ? quote.services.map(item => item.service).join(' + ') : quote.service;
+};
+
+/**
+ * Format a date for customer emails and documents
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. "19 November 2026"
+ */
+export const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+};
+
+/**
+ * Format the label of a pricing adjustment line (rush fee, discount, minimum)
+ * @param {Object} adjustment - Adjustment from the price breakdown
+ * @returns {string} Label including the rate where one applies
+ */
+const formatAdjustmentLabel = (adjustment) => {
+    return adjustment.rate ? `${adjustment.name} (${Math.round(adjustment.rate * 100)}%)` : adjustment.name;
+};
+
+/**
+ * Format the signed amount of a pricing adjustment line
+ * @param {Object} adjustment - Adjustment from the price breakdown
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted amount, prefixed with a minus sign for discounts
+ */
+const formatAdjustmentAmount = (adjustment, currency) => {
+    const sign = adjustment.amount < 0 ? '-' : '+';
+    return `${sign}${currency} ${Math.abs(adjustment.amount).toLocaleString()}`;
+};
+
+/**
+ * Format a recurring charge with its billing period
+ * @param {Object} charge - Recurring charge ({ amount, currency, period })
+ * @returns {string} Formatted charge, e.g. "KES 1,300 / month"
+ */
+export const formatRecurringCharge = (charge) => {
+    return `${charge.currency} ${charge.amount.toLocaleString()} / ${BILLING_PERIOD_LABELS[charge.period]}`;
+};
+
+/**
+ * Build the price breakdown lines shown in the quote email and PDF
+ * Bundles list each service's base price, one-time add-ons and adjustments,
+ * followed by the bundle-level adjustments.
+ * @param {Object} priceBreakdown - Price breakdown for a single service or a bundle
+ * @param {string} currency - Currency code
+ * @returns {Array} Lines of { label, value }
+ */
+export const getPriceBreakdownLines = (priceBreakdown, currency) => {
+    const serviceLines = (breakdown, prefix = '') => [
+        {
+            label: prefix ? `${prefix} (${breakdown.complexity})` : 'Base Service',
+            value: `${currency} ${breakdown.servicePrice.toLocaleString()}`
+        },
+        ...breakdown.addons
+            .filter(addon => !BILLING_PERIOD_LABELS[addon.period])
+            .map(addon => ({
+                label: `${prefix ? `${prefix} - ` : ''}${addon.name} (${addon.tier})`,
+                value: `${addon.currency} ${addon.price.toLocaleString()}`
+            })),
+        ...(breakdown.adjustments || []).map(adjustment => ({
+            label: `${prefix ? `${prefix} - ` : ''}${formatAdjustmentLabel(adjustment)}`,
+            value: formatAdjustmentAmount(adjustment, currency)
+        }))
+    ];
+
+    if (!priceBreakdown.isBundle) {
+        return serviceLines(priceBreakdown);
+    }
+
+    return [
+        ...priceBreakdown.services.flatMap(breakdown => serviceLines(breakdown, breakdown.service)),
+        ...priceBreakdown.adjustments.map(adjustment => ({
+            label: formatAdjustmentLabel(adjustment),
+            value: formatAdjustmentAmount(adjustment, currency)
+        }))
+    ];
+};
+
+/**
+ * Format a line item's amount, including its billing period when recurring
+ * @param {Object} line - Line item ({ amount, period })
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted amount, e.g. "KES 1,300 / month"
+ */
+export const formatLineItemAmount = (line, currency) => {
+    const amount = `${currency} ${line.amount.toLocaleString()}`;
+    return line.period ? `${amount} / ${BILLING_PERIOD_LABELS[line.period]}` : amount;
+};
+
+/**
+ * Build the net, tax and gross lines shown under the quoted amount
+ * @param {Object} tax - Tax on the quoted amount (see calculateTax)
+ * @param {string} currency - Currency code
+ * @returns {Array} Lines of { label, value }
+ */
+export const getTaxLines = (tax, currency) => {
+    const taxLabel = tax.exempt
+        ? `Tax exempt${tax.exemptReason ? ` (${tax.exemptReason})` : ''}`
+        : `${tax.name} (${+(tax.rate * 100).toFixed(2)}%)`;
+
+    return [
+        { label: 'Net Amount', value: `${currency} ${tax.net.toLocaleString()}` },
+        { label: taxLabel, value: `${currency} ${tax.amount.toLocaleString()}` },
+        { label: `Total incl. ${tax.exempt ? 'Tax' : tax.name}`, value: `${currency} ${tax.gross.toLocaleString()}` }
+    ];
+};
+
+/**
+ * Get the notes a customer may see; internal notes never leave the admin area
+ * @param {Object} quote - Quote data
+ * @returns {Array} Customer-visible notes, oldest first
+ */
+export const getCustomerNotes = (quote) => {
+    return (quote.noteThread || []).filter(note => note.visibility === NOTE_VISIBILITIES.CUSTOMER);
+};
@@ -0,0 +1,154 @@
+import jwt from 'jsonwebtoken';
+import config from '../config/env.js';
+
+// Customer response links are signed with their own key and audience so they can
+// never be used as admin tokens (and admin tokens never work as links)
+const RESPONSE_TOKEN_AUDIENCE = 'quote-response';
+const RESPONSE_TOKEN_SECRET = `${config.jwt.secret}:${RESPONSE_TOKEN_AUDIENCE}`;
+
+// Customer actions available from the quote email
+export const QUOTE_RESPONSE_ACTIONS = ['accept', 'decline'];
+
+// Lifetime of a link for a quote without a validity date
+const DEFAULT_LINK_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Create a signed accept or decline token for the quote's current revision
+ * The token expires with the quote and is single-use: it carries the quote's
+ * `responseTokenId`, which is cleared once the customer responds and replaced
+ * whenever a new revision is issued.
+ * @param {Object} quote - Quote document
+ * @param {string} action - 'accept' or 'decline'
+ * @returns {string} Signed token
+ */
+export const createQuoteResponseToken = (quote, action) => {
+    const expiresIn = quote.validUntil
+        ? Math.max(Math.floor((new Date(quote.validUntil).getTime() - Date.now()) / 1000), 60)
+        : DEFAULT_LINK_LIFETIME_SECONDS;
+
+    return jwt.sign(
+        { action, revision: quote.currentRevision },
+        RESPONSE_TOKEN_SECRET,
+        {
+            audience: RESPONSE_TOKEN_AUDIENCE,
+            subject: String(quote._id),
+            jwtid: quote.responseTokenId,
+            expiresIn
+        }
+    );
+};
+
+/**
+ * Verify a customer response token
+ * @param {string} token - Signed token
+ * @returns {Object} Payload ({ action, revision, sub: quote ID, jti })
+ */
+export const verifyQuoteResponseToken = (token) => {
+    return jwt.verify(token, RESPONSE_TOKEN_SECRET, { audience: RESPONSE_TOKEN_AUDIENCE });
+};
+
+/**
+ * Build the accept and decline links for a quote email
+ * @param {Object} quote - Quote document
+ * @returns {Object|null} { accept, decline } URLs, or null when the quote cannot be answered online
+ */
+export const createQuoteResponseLinks = (quote) => {
+    if (!quote.responseTokenId) {
+        return null;
+    }
+
+    return Object.fromEntries(QUOTE_RESPONSE_ACTIONS.map(action => [
+        action,
+        `${config.server.publicUrl}/api/quotes/respond/${createQuoteResponseToken(quote, action)}`
+    ]));
+};
+
+// Follow-up upload links let the customer add files after submitting; download links
+// let admins open attachments straight from the notification email. Each has its own key.
+const UPLOAD_TOKEN_AUDIENCE = 'quote-attachment-upload';
+const UPLOAD_TOKEN_SECRET = `${config.jwt.secret}:${UPLOAD_TOKEN_AUDIENCE}`;
+const DOWNLOAD_TOKEN_AUDIENCE = 'quote-attachment-download';
+const DOWNLOAD_TOKEN_SECRET = `${config.jwt.secret}:${DOWNLOAD_TOKEN_AUDIENCE}`;
+
+// Lifetime of attachment upload and download links
+const ATTACHMENT_LINK_LIFETIME = '7d';
+
+/**
+ * Build the link a customer uses to add files to their quote request
+ * @param {Object} quote - Quote document
+ * @returns {string} Upload URL (POST multipart to it)
+ */
+export const createAttachmentUploadUrl = (quote) => {
+    const token = jwt.sign({}, UPLOAD_TOKEN_SECRET, {
+        audience: UPLOAD_TOKEN_AUDIENCE,
+        subject: String(quote._id),
+        expiresIn: ATTACHMENT_LINK_LIFETIME
+    });
+
+    return `${config.server.publicUrl}/api/quotes/attachments/upload/${token}`;
+};
+
+/**
+ * Verify an attachment upload token
+ * @param {string} token - Signed token
+ * @returns {Object} Payload ({ sub: quote ID })
+ */
+export const verifyAttachmentUploadToken = (token) => {
+    return jwt.verify(token, UPLOAD_TOKEN_SECRET, { audience: UPLOAD_TOKEN_AUDIENCE });
+};
+
+/**
+ * Build a signed download link for one attachment
+ * @param {Object} quote - Quote document
+ * @param {Object} attachment - Attachment entry
+ * @returns {string} Download URL
+ */
+export const createAttachmentDownloadUrl = (quote, attachment) => {
+    const token = jwt.sign({ attachment: String(attachment._id) }, DOWNLOAD_TOKEN_SECRET, {
+        audience: DOWNLOAD_TOKEN_AUDIENCE,
+        subject: String(quote._id),
+        expiresIn: ATTACHMENT_LINK_LIFETIME
+    });
+
+    return `${config.server.publicUrl}/api/quotes/attachments/download/${token}`;
+};
+
+/**
+ * Verify an attachment download token
+ * @param {string} token - Signed token
+ * @returns {Object} Payload ({ attachment: attachment ID, sub: quote ID })
+ */
+export const verifyAttachmentDownloadToken = (token) => {
+    return jwt.verify(token, DOWNLOAD_TOKEN_SECRET, { audience: DOWNLOAD_TOKEN_AUDIENCE });
+};
+
+// Quote document links let the customer download the quotation PDF sent with a revision.
+// They are not single-use and outlive the quote so the PDF can still be fetched once accepted.
+const DOCUMENT_TOKEN_AUDIENCE = 'quote-document';
+const DOCUMENT_TOKEN_SECRET = `${config.jwt.secret}:${DOCUMENT_TOKEN_AUDIENCE}`;
+const DOCUMENT_LINK_LIFETIME = '180d';
+
+/**
+ * Build the link a customer uses to download the quotation PDF of a revision
+ * @param {Object} quote - Quote document
+ * @param {number} revision - Revision number (defaults to the current one)
+ * @returns {string} Download URL
+ */
+export const createQuoteDocumentUrl = (quote, revision = quote.currentRevision) => {
+    const token = jwt.sign({ revision }, DOCUMENT_TOKEN_SECRET, {
+        audience: DOCUMENT_TOKEN_AUDIENCE,
+        subject: String(quote._id),
+        expiresIn: DOCUMENT_LINK_LIFETIME
+    });
+
+    return `${config.server.publicUrl}/api/quotes/document/${token}`;
+};
+
+/**
+ * Verify a quote document token
+ * @param {string} token - Signed token
+ * @returns {Object} Payload ({ revision, sub: quote ID })
+ */
+export const verifyQuoteDocumentToken = (token) => {
+    return jwt.verify(token, DOCUMENT_TOKEN_SECRET, { audience: DOCUMENT_TOKEN_AUDIENCE });
+};
@@ -0,0 +1,245 @@
+import PDFDocument from 'pdfkit';
+import config from '../config/env.js';
+import { QUOTE_TERMS } from '../constants/services.js';
+import {
+    getServiceLabel,
+    formatDate,
+    formatRecurringCharge,
+    getPriceBreakdownLines,
+    formatLineItemAmount,
+    getTaxLines
+} from './quoteFormatting.js';
+
+// Page layout (A4 in points)
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const BRAND_COLOR = '#28a745';
+const MUTED_COLOR = '#666666';
+
+/**
+ * Build the filename a quotation PDF is sent and downloaded as
+ * @param {Object} quote - Quote document
+ * @param {Object} revision - Revision the document shows
+ * @returns {string} e.g. "OmyTech-Quote-65f1c0...-R2.pdf"
+ */
+export const getQuotePdfFilename = (quote, revision) => {
+    return `OmyTech-Quote-${quote._id}-R${revision.number}.pdf`;
+};
+
+/**
+ * Start a new page when fewer than `height` points are left on this one
+ * @param {Object} doc - PDF document
+ * @param {number} height - Space needed
+ */
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > doc.page.height - MARGIN - 30) {
+        doc.addPage();
+    }
+};
+
+/**
+ * Write a section heading with a rule under it
+ * @param {Object} doc - PDF document
+ * @param {string} title - Heading text
+ */
+const writeHeading = (doc, title) => {
+    ensureSpace(doc, 60);
+    doc.moveDown(1.2);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND_COLOR).text(title, MARGIN);
+    doc.moveTo(MARGIN, doc.y + 2).lineTo(MARGIN + CONTENT_WIDTH, doc.y + 2).strokeColor(BRAND_COLOR).stroke();
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10).fillColor('black');
+};
+
+/**
+ * Write a table row; the first column takes the remaining width and the rest are right-aligned
+ * @param {Object} doc - PDF document
+ * @param {Array} cells - Cell texts
+ * @param {Array} widths - Widths of the columns after the first
+ * @param {Object} options - { bold }
+ */
+const writeRow = (doc, cells, widths = [], { bold = false } = {}) => {
+    const firstWidth = CONTENT_WIDTH - widths.reduce((sum, width) => sum + width, 0);
+    const columns = [firstWidth, ...widths];
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    const height = Math.max(...cells.map((cell, index) => doc.heightOfString(String(cell), { width: columns[index] - 6 })));
+    ensureSpace(doc, height + 6);
+
+    const top = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+        doc.text(String(cell), x, top, { width: columns[index] - 6, align: index === 0 ? 'left' : 'right' });
+        x += columns[index];
+    });
+
+    doc.y = top + height + 4;
+    doc.moveTo(MARGIN, doc.y - 2).lineTo(MARGIN + CONTENT_WIDTH, doc.y - 2).strokeColor('#dddddd').stroke();
+    doc.x = MARGIN;
+};
+
+/**
+ * Write the itemised price lines of a revision
+ * Line-item quotes list each line; catalog quotes list the base prices, one-time add-ons
+ * and adjustments from the price breakdown.
+ * @param {Object} doc - PDF document
+ * @param {Object} quote - Quote document
+ * @param {Object} revision - Revision the document shows
+ */
+const writeItems = (doc, quote, revision) => {
+    const { priceBreakdown, currency } = revision;
+
+    if (priceBreakdown?.isManual) {
+        const widths = [40, 90, 60, 110];
+        writeRow(doc, ['Description', 'Qty', 'Unit Price', 'Discount', 'Amount'], widths, { bold: true });
+        priceBreakdown.lineItems.forEach(line => writeRow(doc, [
+            line.description,
+            line.quantity,
+            `${currency} ${line.unitPrice.toLocaleString()}`,
+            line.discountPercent ? `${line.discountPercent}%` : '-',
+            formatLineItemAmount(line, currency)
+        ], widths));
+        if (priceBreakdown.discountTotal) {
+            writeRow(doc, ['Discounts', `-${currency} ${priceBreakdown.discountTotal.toLocaleString()}`], [150]);
+        }
+        return;
+    }
+
+    writeRow(doc, ['Description', 'Amount'], [150], { bold: true });
+    if (priceBreakdown) {
+        getPriceBreakdownLines(priceBreakdown, currency).forEach(line => writeRow(doc, [line.label, line.value], [150]));
+    } else {
+        writeRow(doc, [getServiceLabel(quote), `${currency} ${revision.amount.toLocaleString()}`], [150]);
+    }
+};
+
+/**
+ * Write the quotation for one revision of a quote
+ * @param {Object} doc - PDF document
+ * @param {Object} quote - Quote document
+ * @param {Object} revision - Revision the document shows
+ */
+const writeQuotation = (doc, quote, revision) => {
+    const { currency } = revision;
+
+    // Letterhead
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(BRAND_COLOR).text('OmyTech', MARGIN, MARGIN);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+        .text('Professional Web Development & Digital Solutions')
+        .text(config.email.from);
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('black')
+        .text('QUOTATION', MARGIN, MARGIN, { width: CONTENT_WIDTH, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+        .text(`Reference: ${quote._id}`, { width: CONTENT_WIDTH, align: 'right' })
+        .text(`Revision: ${revision.number}`, { width: CONTENT_WIDTH, align: 'right' })
+        .text(`Issued: ${formatDate(revision.createdAt)}`, { width: CONTENT_WIDTH, align: 'right' })
+        .text(`Valid until: ${revision.validUntil ? formatDate(revision.validUntil) : '-'}`, { width: CONTENT_WIDTH, align: 'right' });
+    doc.x = MARGIN;
+    doc.y = Math.max(doc.y, MARGIN + 60);
+
+    writeHeading(doc, 'Prepared For');
+    doc.text(quote.name);
+    if (quote.company) {
+        doc.text(quote.company);
+    }
+    doc.text(quote.email);
+    if (quote.phone) {
+        doc.text(quote.phone);
+    }
+
+    writeHeading(doc, 'Project');
+    doc.text(`${quote.isBundle ? 'Services' : 'Service'}: ${getServiceLabel(quote)}`);
+    doc.text(`Timeline: ${quote.timeline}`);
+
+    writeHeading(doc, 'Price Breakdown');
+    writeItems(doc, quote, revision);
+    writeRow(doc, ['Upfront Total', `${currency} ${revision.amount.toLocaleString()}`], [150], { bold: true });
+    if (revision.tax) {
+        getTaxLines(revision.tax, currency).forEach((line, index, lines) =>
+            writeRow(doc, [line.label, line.value], [150], { bold: index === lines.length - 1 })
+        );
+    }
+
+    if (revision.recurringCharges?.length > 0) {
+        writeHeading(doc, 'Recurring Charges');
+        revision.recurringCharges.forEach(charge => writeRow(doc, [charge.name, formatRecurringCharge(charge)], [150]));
+        if (revision.firstYearTotal !== undefined) {
+            writeRow(doc, ['First-Year Total Cost', `${currency} ${revision.firstYearTotal.toLocaleString()}`], [150], { bold: true });
+        }
+        if (revision.tax) {
+            doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text('Recurring charges are quoted excluding tax.').fillColor('black');
+        }
+    }
+
+    // Notes as they read when the revision was issued; earlier revisions kept none
+    const notes = revision.customerNotes || [];
+    if (notes.length > 0) {
+        writeHeading(doc, 'Notes');
+        notes.forEach(note => doc.text(note.body, { paragraphGap: 4 }));
+    }
+
+    writeHeading(doc, 'Terms & Conditions');
+    doc.fontSize(9);
+    if (revision.validUntil) {
+        doc.text(`This quotation is valid until ${formatDate(revision.validUntil)}.`, { paragraphGap: 3 });
+    }
+    QUOTE_TERMS.forEach((term, index) => doc.text(`${index + 1}. ${term}`, { paragraphGap: 3 }));
+};
+
+/**
+ * Write the branding and page number at the foot of every page
+ * @param {Object} doc - PDF document
+ * @param {Object} quote - Quote document
+ */
+const writeFooters = (doc, quote) => {
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let index = start; index < start + count; index++) {
+        doc.switchToPage(index);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(
+            `OmyTech - Professional Web Development & Digital Solutions  |  Quote ${quote._id}  |  Page ${index + 1} of ${count}`,
+            MARGIN,
+            doc.page.height - MARGIN,
+            { width: CONTENT_WIDTH, align: 'center', lineBreak: false }
+        );
+        doc.page.margins.bottom = bottom;
+    }
+};
+
+/**
+ * Generate the quotation PDF for a quote revision
+ * The document is built from the stored revision (amount, tax, recurring charges,
+ * price breakdown, validity and customer notes), so a re-issued quote never changes an earlier PDF.
+ * @param {Object} quote - Quote document
+ * @param {Object} revision - Revision to show (defaults to the current one)
+ * @returns {Promise<Buffer>} PDF file
+ */
+export const generateQuotePdf = (quote, revision = quote.revisions[quote.revisions.length - 1]) => {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: MARGIN,
+            bufferPages: true,
+            info: {
+                Title: `Quotation ${quote._id} (Revision ${revision.number})`,
+                Author: 'OmyTech'
+            }
+        });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            writeQuotation(doc, quote, revision);
+            writeFooters(doc, quote);
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
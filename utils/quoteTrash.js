@@ -0,0 +1,68 @@
+import Quote from '../models/quote.js';
+import config from '../config/env.js';
+import { removeAttachments } from './attachmentStorage.js';
+
+// Minutes between automatic purges of the trash
+const PURGE_INTERVAL_MINUTES = 60;
+
+const RETENTION_MS = config.quotes.trashRetentionDays * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the time from which a trashed quote is purged
+ * @param {Date} deletedAt - When the quote was moved to the trash
+ * @returns {Date} Purge time
+ */
+export const getPurgeDate = (deletedAt) => {
+    return new Date(new Date(deletedAt).getTime() + RETENTION_MS);
+};
+
+/**
+ * Permanently delete quotes that have been in the trash longer than the retention period
+ * Quotes are deleted one at a time and their stored attachments removed only once the
+ * quote is gone, so a quote restored while the purge runs keeps its files.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of quotes purged
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - RETENTION_MS);
+
+    const expired = await Quote.find({ deletedAt: { $lte: cutoff } })
+        .select('_id')
+        .lean();
+
+    let purged = 0;
+    for (const { _id } of expired) {
+        const quote = await Quote.purgeTrashed(_id, cutoff);
+        if (quote) {
+            await removeAttachments(quote.attachments);
+            purged++;
+        }
+    }
+
+    return purged;
+};
+
+/**
+ * Purge the trash now and then on a fixed interval
+ * @param {number} intervalMinutes - Minutes between purges
+ * @returns {Object} Interval timer
+ */
+export const startTrashPurgeJob = (intervalMinutes = PURGE_INTERVAL_MINUTES) => {
+    const run = async () => {
+        try {
+            const purged = await purgeExpiredTrash();
+            if (purged) {
+                console.log(`🗑️ Trash purge: ${purged} quotes permanently deleted`);
+            }
+        } catch (error) {
+            console.error('Trash purge failed:', error.message);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMinutes * 60 * 1000);
+    // Don't keep the process alive just for the purge
+    timer.unref();
+
+    return timer;
+};
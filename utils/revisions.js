@@ -0,0 +1,71 @@
+// Revision fields compared by diffRevisions, with the label used for each change
+const COMPARED_FIELDS = [
+    { field: 'source', label: 'Source', get: revision => revision.source },
+    { field: 'currency', label: 'Currency', get: revision => revision.currency },
+    { field: 'amount', label: 'Upfront total', get: revision => revision.amount },
+    { field: 'tax', label: 'Tax', get: revision => revision.tax?.amount },
+    { field: 'gross', label: 'Total incl. tax', get: revision => revision.tax?.gross },
+    { field: 'firstYearTotal', label: 'First-year total', get: revision => revision.firstYearTotal },
+    { field: 'catalogVersion', label: 'Catalog version', get: revision => revision.catalogVersion },
+    { field: 'complexity', label: 'Complexity', get: revision => revision.priceBreakdown?.complexity }
+];
+
+/**
+ * Compare two lists of named entries (line items or recurring charges)
+ * @param {Array} fromEntries - Entries in the older revision
+ * @param {Array} toEntries - Entries in the newer revision
+ * @param {string} key - Field that identifies an entry
+ * @param {Array} fields - Fields compared on entries present in both revisions
+ * @returns {Object} Entries that were added, removed or changed
+ */
+const diffEntries = (fromEntries = [], toEntries = [], key, fields) => {
+    const fromByKey = new Map(fromEntries.map(entry => [entry[key], entry]));
+    const toByKey = new Map(toEntries.map(entry => [entry[key], entry]));
+
+    return {
+        added: toEntries.filter(entry => !fromByKey.has(entry[key])),
+        removed: fromEntries.filter(entry => !toByKey.has(entry[key])),
+        changed: toEntries
+            .filter(entry => fromByKey.has(entry[key]))
+            .map(entry => {
+                const previous = fromByKey.get(entry[key]);
+                const changes = fields
+                    .filter(field => previous[field] !== entry[field])
+                    .map(field => ({ field, from: previous[field], to: entry[field] }));
+                return { [key]: entry[key], changes };
+            })
+            .filter(entry => entry.changes.length > 0)
+    };
+};
+
+/**
+ * Describe what changed between two quote revisions
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @returns {Object} Changed fields, amount difference, and line-item and recurring-charge changes
+ */
+export const diffRevisions = (from, to) => {
+    const changes = COMPARED_FIELDS
+        .map(({ field, label, get }) => ({ field, label, from: get(from) ?? null, to: get(to) ?? null }))
+        .filter(change => change.from !== change.to);
+
+    // Amounts in different currencies cannot be subtracted meaningfully
+    const amountDifference = from.currency === to.currency
+        ? Math.round((to.amount - from.amount) * 100) / 100
+        : null;
+
+    return {
+        from: from.number,
+        to: to.number,
+        currency: to.currency,
+        amountDifference,
+        changes,
+        lineItems: diffEntries(
+            from.priceBreakdown?.lineItems,
+            to.priceBreakdown?.lineItems,
+            'description',
+            ['quantity', 'unitPrice', 'discountPercent', 'amount', 'period']
+        ),
+        recurringCharges: diffEntries(from.recurringCharges, to.recurringCharges, 'name', ['amount', 'period'])
+    };
+};
@@ -0,0 +1,159 @@
+import {
+    BUSINESS_HOURS,
+    SLA_TARGETS,
+    SLA_AT_RISK_FRACTION,
+    SLA_STATES,
+    OPEN_QUOTE_STATUSES,
+    PRIORITY_LEVELS
+} from '../constants/services.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the business-hours window of the local day containing a time
+ * Times are shifted to local time so that UTC date fields read as local ones.
+ * @param {number} local - Local time in milliseconds
+ * @param {Object} schedule - Business hours (see BUSINESS_HOURS)
+ * @returns {Object|null} { start, end } in local milliseconds, or null on a non-working day
+ */
+const getBusinessWindow = (local, schedule) => {
+    const day = new Date(local);
+    if (!schedule.workingDays.includes(day.getUTCDay())) {
+        return null;
+    }
+
+    const midnight = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+    return {
+        start: midnight + schedule.startHour * HOUR_MS,
+        end: midnight + schedule.endHour * HOUR_MS
+    };
+};
+
+/**
+ * Get local midnight of the following day
+ * @param {number} local - Local time in milliseconds
+ * @returns {number} Local time in milliseconds
+ */
+const getNextLocalDay = (local) => {
+    const day = new Date(local);
+    return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + 1);
+};
+
+/**
+ * Add business hours to a time, skipping evenings and non-working days
+ * @param {Date} from - Start time
+ * @param {number} hours - Business hours to add
+ * @param {Object} schedule - Business hours (see BUSINESS_HOURS)
+ * @returns {Date} Time at which the business hours have passed
+ */
+export const addBusinessHours = (from, hours, schedule = BUSINESS_HOURS) => {
+    const offset = schedule.utcOffsetHours * HOUR_MS;
+    let local = new Date(from).getTime() + offset;
+    let remaining = hours * HOUR_MS;
+
+    for (;;) {
+        const window = getBusinessWindow(local, schedule);
+        if (window && local < window.end) {
+            const start = Math.max(local, window.start);
+            if (remaining <= window.end - start) {
+                return new Date(start + remaining - offset);
+            }
+            remaining -= window.end - start;
+        }
+        local = getNextLocalDay(local);
+    }
+};
+
+/**
+ * Count the business hours between two times
+ * @param {Date} from - Start time
+ * @param {Date} to - End time
+ * @param {Object} schedule - Business hours (see BUSINESS_HOURS)
+ * @returns {number} Business hours (0 when `to` is not after `from`)
+ */
+export const businessHoursBetween = (from, to, schedule = BUSINESS_HOURS) => {
+    const offset = schedule.utcOffsetHours * HOUR_MS;
+    const end = new Date(to).getTime() + offset;
+    let local = new Date(from).getTime() + offset;
+    let total = 0;
+
+    while (local < end) {
+        const window = getBusinessWindow(local, schedule);
+        if (window) {
+            total += Math.max(0, Math.min(end, window.end) - Math.max(local, window.start));
+        }
+        local = getNextLocalDay(local);
+    }
+
+    return total / HOUR_MS;
+};
+
+/**
+ * Work out the SLA due dates for a new quote request
+ * @param {string} priority - Quote priority (see PRIORITY_LEVELS)
+ * @param {Date} from - Submission time
+ * @returns {Object} SLA targets and due dates
+ */
+export const calculateSlaDueDates = (priority, from = new Date()) => {
+    const { firstResponseHours, quoteHours } = SLA_TARGETS[priority] || SLA_TARGETS[PRIORITY_LEVELS.MEDIUM];
+
+    return {
+        firstResponseHours,
+        quoteHours,
+        firstResponseDueAt: addBusinessHours(from, firstResponseHours),
+        quoteDueAt: addBusinessHours(from, quoteHours)
+    };
+};
+
+/**
+ * Get the state of a single SLA target
+ * @param {Date} dueAt - Due date
+ * @param {Date} doneAt - When the target was reached, if it was
+ * @param {number} targetHours - Business hours allowed
+ * @param {boolean} isOpen - Whether the quote can still reach the target
+ * @param {Date} now - Current time
+ * @returns {string} One of SLA_STATES
+ */
+const getTargetState = (dueAt, doneAt, targetHours, isOpen, now) => {
+    if (doneAt) {
+        return doneAt <= dueAt ? SLA_STATES.MET : SLA_STATES.BREACHED;
+    }
+    if (!isOpen) {
+        return SLA_STATES.NOT_APPLICABLE;
+    }
+    if (now > dueAt) {
+        return SLA_STATES.BREACHED;
+    }
+
+    return businessHoursBetween(now, dueAt) < targetHours * SLA_AT_RISK_FRACTION
+        ? SLA_STATES.AT_RISK
+        : SLA_STATES.ON_TRACK;
+};
+
+/**
+ * Get the SLA state of a quote
+ * @param {Object} quote - Quote data with `sla`
+ * @param {Date} now - Current time
+ * @returns {Object|null} First-response and quote targets ({ dueAt, doneAt, state }), or null for quotes without an SLA
+ */
+export const getSlaStatus = (quote, now = new Date()) => {
+    const sla = quote.sla;
+    if (!sla?.firstResponseDueAt) {
+        return null;
+    }
+
+    const isOpen = OPEN_QUOTE_STATUSES.includes(quote.status);
+
+    return {
+        firstResponse: {
+            dueAt: sla.firstResponseDueAt,
+            doneAt: sla.firstResponseAt || null,
+            state: getTargetState(sla.firstResponseDueAt, sla.firstResponseAt, sla.firstResponseHours, isOpen, now)
+        },
+        quote: {
+            dueAt: sla.quoteDueAt,
+            doneAt: sla.quotedAt || null,
+            state: getTargetState(sla.quoteDueAt, sla.quotedAt, sla.quoteHours, isOpen, now)
+        }
+    };
+};